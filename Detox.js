@@ -1,5 +1,12 @@
 const recorder = require('codeceptjs').recorder;
+const Locator = require('codeceptjs').locator;
+const output = require('codeceptjs').output;
 const path = require('path');
+const fs = require('fs');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
 
 let detox;
 let by;
@@ -26,7 +33,9 @@ let waitFor;
  * npm i @codeceptjs/detox-helper --save
  * ```
  * 
- * Detox configuration is required in `package.json` under `detox` section.
+ * Detox configuration is required in `.detoxrc.js`, `.detoxrc.json`, `.detoxrc`, `detox.config.js`, `detox.config.json`
+ * or in `package.json` under `detox` section, looked up from codecept dir and then from the current directory the same way Detox does it.
+ * A config file at another location can be set by `detoxConfigPath` option, configurations can be set in the helper config as well.
  * 
  * If you completed step 1 and step 2 you should have a configuration similar this:
  * 
@@ -60,14 +69,65 @@ let waitFor;
  * 
  * ```
  * 
- * It's important to specify a package name under `require` section and current detox configuration taken from `package.json`.
+ * It's important to specify a package name under `require` section and current detox configuration taken from Detox config.
  * 
  * Options:
  * 
  * * `configuration` - a detox configuration name. Required.
- * * `reloadReactNative` - should be enabled for React Native applications.
+ * * `detoxConfigPath` - path to Detox config file, relative to codecept dir. By default, it is looked up from codecept dir and then from the current directory.
+ * * `reloadReactNative` - should be enabled for React Native applications, the same as `restart: 'reload'`.
+ * * `restart` - (default: 'relaunch') how an app is reset before each test:
+ *    * `'none'` - keep app state between tests
+ *    * `'reload'` - reload React Native JS bundle
+ *    * `'relaunch'` - launch a new instance of an app
+ *    * `'relaunch-clean'` - delete app data and launch a new instance of an app
+ *    * `'reinstall'` - uninstall, install and launch an app
+ *    * `'once-per-suite'` - launch a new instance of an app once before a suite
+ *
+ *    Can be overridden for a Feature or a Scenario: `Scenario('checkout', { detox: { restart: 'reinstall' } }, ...)`.
+ * * `launchOptions` - Detox launch options (`launchArgs`, `url`, `permissions`, `languageAndLocale`, ...) used when an app is launched before a test.
+ *    Feature and Scenario options are merged into them:
+ *    `Scenario('new checkout', { detox: { launchArgs: { newCheckout: true }, url: 'myapp://cart' } }, ...)`.
+ *    An app is relaunched for a Scenario with its own launch options even if `restart` strategy keeps or reloads it,
+ *    and relaunched with default options for the next Scenario. `delete: true` deletes app data before a launch.
  * * `reuse` - reuse application for tests. By default, Detox reinstalls and relaunches app.
  * * `registerGlobals` - (default: true) Register Detox helper functions `by`, `element`, `expect`, `waitFor` globally.
+ * * `artifactsLocation` - folder for Detox artifacts, by default they are saved to the output dir.
+ * * `loglevel` - Detox log level: `fatal`, `error`, `warn`, `info`, `verbose` or `trace`.
+ *    It is applied when the helper requires Detox, so it has no effect if Detox was required earlier (e.g. by another helper or a config).
+ *    `--loglevel` CLI option and `DETOX_LOGLEVEL` env variable take precedence over it.
+ * * `cleanup` - shutdown a device when tests are finished.
+ * * `debugSynchronization` - milliseconds after which Detox prints the status of busy app resources.
+ * * `device` - overrides of a device config of the selected configuration, e.g. `{ headless: true, gpuMode: 'swiftshader_indirect', device: { avdName: 'Pixel_3' } }`.
+ * * `appLaunchArgs` - launch arguments added to every app of the selected configuration.
+ * * `smartWait` - (default: 0) milliseconds to wait for an element to appear before an action or a positive assertion is performed.
+ *    Can be overridden for a single step by `smartWait` key of a locator: `I.click({ text: 'Save', smartWait: 10000 })`.
+ * * `autoScroll` - (default: false) scroll a scroll view holding an element when it is off-screen before `click` or `see`.
+ * * `baselineFolder` - (default: 'baselines') folder with baseline screenshots for `seeVisualDiff` (in `ios` and `android` subfolders), relative to codecept dir.
+ * * `updateBaselines` - (default: false) overwrite baseline screenshots with current ones instead of comparing them.
+ * * `recordVideo` - (default: 'none') record a video of each test: `'none'`, `'failing'` (keep videos of failed tests only) or `'all'`.
+ *    Videos are saved to the output dir named after a full title of a test (with its Feature) and attached to `test.artifacts.video` on failure.
+ * * `failureArtifacts` - (default: true) on failure save a screenshot and a view hierarchy dump (iOS) to the output dir
+ *    and attach them to `test.artifacts`.
+ * * `recordLogs` - (default: 'failing') save device logs (adb logcat on Android, simulator log on iOS) written during a test to the output dir:
+ *    `'none'`, `'failing'` (logs of failed tests only, attached to `test.artifacts.deviceLog`) or `'all'`.
+ * 
+ * Detox CLI options are set in the helper config:
+ *
+ * | Detox CLI | helper config |
+ * | --- | --- |
+ * | `--configuration` | `configuration` |
+ * | `--artifacts-location` | `artifactsLocation` |
+ * | `--record-videos` | `recordVideo` |
+ * | `--record-logs`, `--take-screenshots`, `--record-performance`, `--record-timeline`, `--capture-view-hierarchy` | `artifacts.plugins` (`log`, `screenshot`, `instruments`, `timeline`, `uiHierarchy`) |
+ * | `--loglevel` | `loglevel` |
+ * | `--cleanup` | `cleanup` |
+ * | `--reuse` | `reuse` |
+ * | `--debug-synchronization` | `debugSynchronization` |
+ * | `--device-name`, `--device-boot-args`, `--force-adb-install`, `--headless`, `--gpu`, `--readonly-emu` | `device` (`device`, `bootArgs`, `forceAdbInstall`, `headless`, `gpuMode`, `readonly`) |
+ * | `--app-launch-args` | `appLaunchArgs` |
+ *
+ * Any other key of Detox config (`artifacts`, `behavior`, `session`, `devices`, `apps`) can be set in the helper config as well.
  * 
  */
 class Detox extends Helper {
@@ -75,21 +135,24 @@ class Detox extends Helper {
   constructor(config) {
     super(config);
     this._setConfig(config);
-    this._registerOptions();
 
-    detox = require('detox');
+    detox = this._requireDetox();
     this.device = detox.device;
     this._useDetoxFunctions();
+    this._useReadableErrors();
   }
 
-  _registerOptions() {
-    if (this.options.configuration && process.argv.indexOf('--configuration') < 0) {
-      process.argv.push('--configuration');
-      process.argv.push(this.options.configuration);
-    }
-    if (!process.argv.indexOf('--artifacts-location') < 0) {
-      process.argv.push('--artifacts-location');
-      process.argv.push(global.output_dir + '/');
+  _requireDetox() {
+    const { loglevel } = this.options;
+    // Detox reads its log level from --loglevel or DETOX_LOGLEVEL once it is required, CLI and env still win
+    if (!loglevel || process.env.DETOX_LOGLEVEL) return require('detox');
+
+    process.env.DETOX_LOGLEVEL = loglevel;
+    try {
+      return require('detox');
+    } finally {
+      // don't pass the level to child processes
+      delete process.env.DETOX_LOGLEVEL;
     }
   }
 
@@ -107,18 +170,125 @@ class Detox extends Helper {
     }
   }
 
+  _useReadableErrors() {
+    const actions = Object.getOwnPropertyNames(Detox.prototype)
+      .filter(name => name !== 'constructor' && name[0] !== '_');
+
+    for (const action of actions) {
+      const fn = this[action];
+      this[action] = async (...args) => {
+        try {
+          return await fn.apply(this, args);
+        } catch (err) {
+          throw await this._readableError(err, action, args);
+        }
+      };
+    }
+  }
+
+  async _readableError(err, action, args) {
+    if (err instanceof StepError) return err;
+
+    let platform = 'unknown platform';
+    try {
+      platform = this.device.getPlatform();
+    } catch (e) {
+      // device is not available
+    }
+    args = args.slice(0, args.length - [...args].reverse().findIndex(arg => arg !== null && arg !== undefined));
+    const [locator] = args;
+    const lines = [`I.${action}(${args.map(describeLocator).join(', ')}) failed on ${platform}`];
+    if (locator !== undefined && typeof locator !== 'number' && typeof locator !== 'function') {
+      const kind = { '#': ' (id)', '~': ' (accessibility label)' }[typeof locator === 'string' && locator[0]] || '';
+      lines.push(`  locator: ${describeLocator(locator)}${kind}`);
+      // looking up elements on screen is slow, so it is done only when an element was not found
+      const similar = isNotFoundError(err) ? await this._similarElements(locator).catch(() => []) : [];
+      if (similar.length) lines.push(`  similar elements on screen: ${similar.join(', ')}`);
+    }
+    lines.push(`  ${String(err.message).split('\n').find(line => line.trim()) || err}`);
+    return new StepError(lines.join('\n'), err);
+  }
+
+  async _similarElements(locator) {
+    const expected = locatorValue(locator);
+    if (!expected) return [];
+
+    const platform = this.device.getPlatform();
+    const attributes = await this._getAttributesAll(() => by.type(anyElementTypes[platform]), maxSimilarCandidates);
+    const candidates = new Map();
+    for (const attrs of attributes) {
+      if (attrs.identifier) candidates.set(`#${attrs.identifier}`, attrs.identifier);
+      if (attrs.label) candidates.set(`~${attrs.label}`, attrs.label);
+      if (attrs.text) candidates.set(JSON.stringify(attrs.text), attrs.text);
+    }
+    return Array.from(candidates.entries())
+      .map(([description, value]) => ({ description, distance: similarity(expected, value) }))
+      .filter(candidate => candidate.distance !== null)
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, 5)
+      .map(candidate => candidate.description);
+  }
+
   _validateConfig(config) {
     const defaults = {
       launchApp: true,
       reuse: false,
       reloadReactNative: false,
+      smartWait: 0,
+      autoScroll: false,
+      baselineFolder: 'baselines',
+      updateBaselines: false,
+      failureArtifacts: true,
+      recordVideo: 'none',
+      recordLogs: 'failing',
+      restart: config.reloadReactNative ? 'reload' : 'relaunch',
     };
 
-    const detoxConf = require(path.join(global.codecept_dir, 'package.json')).detox;
+    const detoxConf = loadDetoxConfig(config);
+    this._helperConfigKeys = Object.keys(config);
 
     return Object.assign(defaults, detoxConf, config);
   }
 
+  _validateOptions() {
+    const errors = [];
+    // keys of Detox config are left for Detox to validate
+    for (const key of this._helperConfigKeys || []) {
+      if (detoxConfigKeys.includes(key)) continue;
+      const value = this.options[key];
+      const expected = optionsSchema[key];
+      if (!expected) {
+        const suggestion = Object.keys(optionsSchema).concat(detoxConfigKeys)
+          .map(option => ({ option, distance: similarity(key, option) }))
+          .filter(candidate => candidate.distance !== null)
+          .sort((a, b) => a.distance - b.distance)[0];
+        errors.push(`unknown option "${key}"${suggestion ? `, did you mean "${suggestion.option}"?` : ''}`);
+      } else if (value !== undefined && !matchesSchema(value, expected)) {
+        errors.push(`option "${key}" should be ${Array.isArray(expected) ? `one of: ${expected.join(', ')}` : `a ${expected}`}, got ${JSON.stringify(value)}`);
+      }
+    }
+
+    const { configurations = {}, apps = {}, reuse } = this.options;
+    const configuration = this.options.configuration || this.options.selectedConfiguration;
+    const names = Object.keys(configurations);
+    const validNames = names.length ? `valid configurations: ${names.join(', ')}` : 'Detox config has no configurations';
+    if (!configuration && names.length !== 1) {
+      errors.push(`option "configuration" is not set, ${validNames}`);
+    } else if (configuration && !configurations[configuration]) {
+      errors.push(`configuration "${configuration}" is not defined in Detox config, ${validNames}`);
+    } else if (!reuse) {
+      const name = configuration || names[0];
+      for (const binaryPath of binaryPathsOf(configurations[name], apps)) {
+        if (!fs.existsSync(path.resolve(binaryPath))) {
+          errors.push(`app binary "${binaryPath}" of configuration "${name}" does not exist, build it with \`detox build -c ${name}\``);
+        }
+      }
+    }
+
+    if (errors.length) {
+      throw new Error(['Detox helper is misconfigured:', ...errors.map(error => `  - ${error}`)].join('\n'));
+    }
+  }
 
   static _checkRequirements() {
     try {
@@ -128,13 +298,65 @@ class Detox extends Helper {
     }
   }
 
-  async _beforeSuite() {
+  async _beforeSuite(suite) {
+    this._suiteStartedAt = Date.now();
+    this._validateOptions();
     const { reuse, launchApp } = this.options;
-    await detox.init(this.options, { reuse, launchApp });
+    await detox.init(this._detoxConfig(), { reuse, launchApp });
+
+    this._appLaunched = false;
+    this._launchedWithOwnOptions = false;
+    const restart = detoxOptionsOf(suite).restart || this.options.restart;
+    if (['none', 'reload', 'once-per-suite'].includes(restart)) {
+      await this._restartApp(restart, mergeDeep({}, this.options.launchOptions, launchOptionsOf(suite)));
+    }
+  }
 
-    if (this.options.reloadReactNative) {
-      return this.device.launchApp({ newInstance: true });
+  _detoxConfig() {
+    const {
+      configuration, artifactsLocation, recordVideo, cleanup, debugSynchronization, device, appLaunchArgs,
+    } = this.options;
+    const config = mergeDeep({ artifacts: { rootDir: `${global.output_dir}/` } }, this.options);
+
+    const overrides = {};
+    if (artifactsLocation) {
+      mergeDeep(overrides, { artifacts: { rootDir: artifactsLocation } });
+    }
+    if (recordVideo !== 'none') {
+      mergeDeep(overrides, {
+        artifacts: {
+          plugins: { video: recordVideo },
+          pathBuilder: ({ rootDir }) => new VideoPathBuilder(rootDir),
+        },
+      });
+    }
+    if (cleanup !== undefined) {
+      mergeDeep(overrides, { behavior: { cleanup: { shutdownDevice: cleanup } } });
+    }
+    if (debugSynchronization !== undefined) {
+      mergeDeep(overrides, { session: { debugSynchronization } });
+    }
+    const name = configuration || config.selectedConfiguration || soleConfigurationOf(config);
+    const local = (config.configurations || {})[name] || {};
+    if (device) {
+      // plain configurations keep device settings at their top level
+      if (local.type) mergeDeep(overrides, device);
+      else mergeDeep(overrides, { device: mergeDeep({}, resolveAlias(local.device, config.devices), device) });
+    }
+    if (appLaunchArgs) {
+      const launchArgs = { launchArgs: appLaunchArgs };
+      if (local.type) mergeDeep(overrides, launchArgs);
+      else if (local.app) mergeDeep(overrides, { app: mergeDeep({}, resolveAlias(local.app, config.apps), launchArgs) });
+      for (const alias of local.apps || []) {
+        config.apps = mergeDeep({}, config.apps, { [alias]: launchArgs });
+      }
     }
+    if (!name) return mergeDeep(config, overrides);
+
+    // settings of a configuration take precedence over global ones, so helper options are put there
+    if (configuration) config.selectedConfiguration = configuration;
+    config.configurations = mergeDeep({}, config.configurations, { [name]: overrides });
+    return config;
   }
 
   async _afterSuite() {
@@ -142,24 +364,164 @@ class Detox extends Helper {
   }
 
   async _before(test) {
-    if (this.options.reloadReactNative) {
-      await this.device.reloadReactNative();
-    } else {
-      await this.device.launchApp({ newInstance: true });
+    this._testStartedAt = Date.now();
+    this._focusedField = null;
+    const suite = test && test.parent;
+    const restart = detoxOptionsOf(test).restart || detoxOptionsOf(suite).restart || this.options.restart;
+    const ownLaunchOptions = launchOptionsOf(test);
+    const launchOptions = mergeDeep({}, this.options.launchOptions, launchOptionsOf(suite), ownLaunchOptions);
+
+    // launch options of a scenario take effect only when an app is launched for it
+    if (Object.keys(ownLaunchOptions).length) {
+      await this._restartApp(restart === 'reload' ? 'relaunch' : restart, launchOptions, true);
+      this._launchedWithOwnOptions = true;
+      return;
+    }
+    // an app launched with options of a previous scenario is not kept or reloaded, as it would keep them
+    if (this._launchedWithOwnOptions) {
+      this._launchedWithOwnOptions = false;
+      return this._restartApp(restart === 'reload' ? 'relaunch' : restart, launchOptions, true);
+    }
+    if (this._appLaunched && ['none', 'once-per-suite'].includes(restart)) return;
+    await this._restartApp(restart, launchOptions);
+  }
+
+  async _restartApp(restart, launchOptions = {}, forceLaunch = false) {
+    const launched = this._appLaunched;
+    this._appLaunched = true;
+    if (restart === 'reload' && launched && !forceLaunch) {
+      return this.device.reloadReactNative();
     }
+    if (restart === 'reinstall') {
+      await this.device.uninstallApp();
+      await this.device.installApp();
+    }
+    return this.device.launchApp(Object.assign({}, launchOptions, {
+      // launch options of a Scenario take effect only in a new instance of the app
+      newInstance: restart !== 'none' || forceLaunch,
+      delete: restart === 'relaunch-clean' || !!launchOptions.delete,
+    }));
   }
 
   /**
-  * Saves a screenshot to the output dir
+  * Saves a screenshot to the output dir and returns its path.
   * 
   * ```js
   * I.saveScreenshot('main-window.png');
+  * I.saveScreenshot('/tmp/screenshots/main-window.png', { fullPath: true });
   * ```
   * 
-  * @param {string} name 
+  * @param {string} name file name of a screenshot
+  * @param {object} [options]
+  * @param {boolean} [options.fullPath=false] treat `name` as a file path instead of a name inside the output dir
+  */
+  async saveScreenshot(name, options = {}) {
+    const { fullPath = false } = options || {};
+    const screenshot = await this.device.takeScreenshot(path.basename(name, path.extname(name)));
+    return this._copyScreenshot(screenshot, name, fullPath);
+  }
+
+  /**
+  * Saves a screenshot of an element to the output dir
+  *
+  * ```js
+  * I.saveElementScreenshot('#LoginForm', 'login-form.png');
+  * ```
+  *
+  * @param {CodeceptJS.LocatorOrString} locator element to take a screenshot of
+  * @param {string} name file name of a screenshot
+  */
+  async saveElementScreenshot(locator, name) {
+    const screenshot = await this._takeElementScreenshot(locator);
+    return this._copyScreenshot(screenshot, name);
+  }
+
+  /**
+  * Compares a screenshot of the screen (or an element) with a baseline image from `baselineFolder`.
+  * Baselines are kept per platform, as `<baselineFolder>/ios/<name>.png` and `<baselineFolder>/android/<name>.png`.
+  * A diff image highlighting changed pixels is saved to the output dir as `<name>.diff.png`.
+  * Fails when the share of changed pixels exceeds `tolerance` percent.
+  *
+  * When a baseline is missing or `updateBaselines` is enabled the current screenshot is stored as a baseline,
+  * this is printed to the output and the step passes without comparison.
+  *
+  * ```js
+  * I.seeVisualDiff('main-screen');
+  * I.seeVisualDiff('main-screen', { tolerance: 2, ignoreRegions: [{ x: 0, y: 0, width: 1080, height: 60 }] });
+  * I.seeVisualDiff('login-form', { locator: '#LoginForm' });
+  * ```
+  *
+  * @param {string} name baseline image name
+  * @param {object} [options]
+  * @param {number} [options.tolerance=0] allowed percent of changed pixels
+  * @param {Array<{x: number, y: number, width: number, height: number}>} [options.ignoreRegions] regions (in screenshot pixels) excluded from comparison
+  * @param {CodeceptJS.LocatorOrString} [options.locator] compare a screenshot of an element instead of the whole screen
+  */
+  async seeVisualDiff(name, options = {}) {
+    const { tolerance = 0, ignoreRegions = [], locator } = options;
+    const fileName = pngFileName(name);
+    const screenshot = locator
+      ? await this._takeElementScreenshot(locator)
+      : await this.device.takeScreenshot(path.basename(fileName, '.png'));
+
+    const baselineFile = path.resolve(global.codecept_dir, this.options.baselineFolder, this.device.getPlatform(), fileName);
+    if (this.options.updateBaselines || !fs.existsSync(baselineFile)) {
+      fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+      fs.copyFileSync(screenshot, baselineFile);
+      output.print(`Baseline "${fileName}" was ${this.options.updateBaselines ? 'updated' : 'created'}, nothing to compare with`);
+      return;
+    }
+
+    const actual = PNG.sync.read(fs.readFileSync(screenshot));
+    const baseline = PNG.sync.read(fs.readFileSync(baselineFile));
+    const { width, height } = baseline;
+    if (actual.width !== width || actual.height !== height) {
+      throw new Error(`Screenshot "${fileName}" is ${actual.width}x${actual.height} while baseline is ${width}x${height}`);
+    }
+    for (const region of ignoreRegions) {
+      maskRegion(actual, region);
+      maskRegion(baseline, region);
+    }
+
+    const diff = new PNG({ width, height });
+    const changedPixels = pixelmatch(baseline.data, actual.data, diff.data, width, height, { threshold: 0.1 });
+    const diffFile = path.join(global.output_dir, fileName.replace(/\.png$/i, '.diff.png'));
+    fs.mkdirSync(path.dirname(diffFile), { recursive: true });
+    fs.writeFileSync(diffFile, PNG.sync.write(diff));
+
+    const mismatch = changedPixels / (width * height) * 100;
+    if (mismatch > tolerance) {
+      throw new Error(`Screenshot "${fileName}" differs from baseline by ${mismatch.toFixed(2)}% (tolerance ${tolerance}%), see ${diffFile}`);
+    }
+  }
+
+  /**
+  * Returns device logs (adb logcat on Android, simulator log on iOS) written since the current test has started.
+  *
+  * ```js
+  * const logs = await I.grabDeviceLogs();
+  * ```
+  *
+  * @returns {Promise<string>}
+  */
+  async grabDeviceLogs() {
+    return this._grabDeviceLogs(this._testStartedAt);
+  }
+
+  /**
+  * Checks that device logs written since the current test has started contain a text or match a regular expression.
+  *
+  * ```js
+  * I.seeInDeviceLog('Payment completed');
+  * I.seeInDeviceLog(/order #\d+ created/);
+  * ```
+  *
+  * @param {string | RegExp} pattern text or regular expression to look for
   */
-  async saveScreenshot(name) {
-    return this.device.takeScreenshot(name);
+  async seeInDeviceLog(pattern) {
+    const logs = await this.grabDeviceLogs();
+    const found = pattern instanceof RegExp ? pattern.test(logs) : logs.includes(pattern);
+    if (!found) throw new Error(`Device log does not contain ${describeLocator(pattern)}`);
   }
 
   async _test(test) {
@@ -171,6 +533,9 @@ class Detox extends Helper {
   }
 
   async _passed(test) {
+    if (this.options.recordLogs === 'all') {
+      await this._saveDeviceLogs(`${artifactFileName(test)}.log`).catch(() => null);
+    }
     await detox.afterEach({
       title: test.title,
       fullName: test.fullTitle(),
@@ -179,41 +544,141 @@ class Detox extends Helper {
   }
 
   async _failed(test) {
+    if (this.options.failureArtifacts) {
+      await this._saveFailureArtifacts(test);
+    }
+    if (this.options.recordLogs !== 'none') {
+      this._attachArtifacts(test, {
+        deviceLog: await this._saveDeviceLogs(`${artifactFileName(test)}.failed.log`).catch(() => null),
+      });
+    }
     await detox.afterEach({
       title: test.title,
       fullName: test.fullTitle(),
       status: 'failed',
     });
+    if (this.options.recordVideo !== 'none') {
+      this._attachArtifacts(test, { video: path.join(global.output_dir, `${artifactFileName(test)}.mp4`) });
+    }
+  }
+
+  // every artifact is collected on its own, a crashed app should not prevent saving the rest
+  async _saveFailureArtifacts(test) {
+    const name = `${artifactFileName(test)}.failed`;
+    this._attachArtifacts(test, {
+      screenshot: await this.device.takeScreenshot(name).then(file => this._copyScreenshot(file, `${name}.png`)).catch(() => null),
+      viewHierarchy: await this._saveViewHierarchy(`${name}.viewhierarchy`).catch(() => null),
+    });
+  }
+
+  _attachArtifacts(test, artifacts) {
+    test.artifacts = test.artifacts || {};
+    for (const [key, file] of Object.entries(artifacts)) {
+      if (file) test.artifacts[key] = file;
+    }
+  }
+
+  async _saveViewHierarchy(name) {
+    const viewHierarchy = await this.device.captureViewHierarchy(path.basename(name, path.extname(name)));
+    if (!viewHierarchy) return null; // supported by iOS simulators only
+    const outputFile = path.join(global.output_dir, name);
+    copyRecursive(viewHierarchy, outputFile);
+    return outputFile;
+  }
+
+  async _saveDeviceLogs(name) {
+    const outputFile = path.join(global.output_dir, name);
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.writeFileSync(outputFile, await this._grabDeviceLogs(this._testStartedAt));
+    return outputFile;
+  }
+
+  // device logs written since a timestamp: logcat on Android, unified log of a simulator on iOS
+  async _grabDeviceLogs(since = this._suiteStartedAt || Date.now()) {
+    const maxBuffer = 64 * 1024 * 1024;
+    if (this.device.getPlatform() === 'android') {
+      const { stdout } = await execFile(adbPath(), ['-s', this.device.id, 'logcat', '-d', '-T', (since / 1000).toFixed(3)], { maxBuffer });
+      return stdout;
+    }
+    const seconds = Math.max(Math.ceil((Date.now() - since) / 1000), 1);
+    const { stdout } = await execFile('xcrun', ['simctl', 'spawn', this.device.id, 'log', 'show', '--last', `${seconds}s`, '--style', 'compact'], { maxBuffer });
+    return stdout;
   }
 
   async _locate(locator) {
-    return element(this._detectLocator(locator, 'type'));
+    return await this._element(locator, 'type');
   }
 
   async _locateClickable(locator) {
-    return element(this._detectLocator(locator, 'type'));
+    return await this._element(locator, 'type');
   }
 
   /**
   * Relaunches an application.
+  * Accepts [Detox launch options](https://wix.github.io/Detox/docs/api/device#devicelaunchappparams):
+  * `launchArgs`, `url`, `sourceApp`, `permissions`, `userNotification`, `userActivity`, `delete`, `languageAndLocale`, `disableTouchIndicators`.
   * 
   * ```js
   * I.relaunchApp();
+  * I.relaunchApp({ delete: true, permissions: { notifications: 'YES' } });
+  * I.relaunchApp({ launchArgs: { mockServerPort: 9001 } });
   * ```
+  *
+  * @param {object} [options] Detox launch options
   */
-  async relaunchApp() {
-    return this.device.launchApp({ newInstance: true });
+  async relaunchApp(options = {}) {
+    return this.device.launchApp(Object.assign({}, options, { newInstance: true }));
   }
 
   /**
   * Launches an application. If application instance already exists, use [relaunchApp](#relaunchApp).
+  * Accepts the same launch options as [relaunchApp](#relaunchApp).
+  * 
+  * ```js
+  * I.launchApp();
+  * I.launchApp({ url: 'myapp://cart', sourceApp: 'com.apple.mobilesafari' });
+  * ```
+  *
+  * @param {object} [options] Detox launch options
+  */
+  async launchApp(options = {}) {
+    return this.device.launchApp(Object.assign({ newInstance: false }, options));
+  }
+
+  /**
+  * Terminates an application.
   * 
   * ```js
+  * I.terminateApp();
+  * ```
+  */
+  async terminateApp() {
+    return this.device.terminateApp();
+  }
+
+  /**
+  * Uninstalls a configured application.
+  * 
+  * ```js
+  * I.uninstallApp();
+  * ```
+  */
+  async uninstallApp() {
+    return this.device.uninstallApp();
+  }
+
+  /**
+  * Uninstalls and installs a configured application, its data is removed.
+  * Use [launchApp](#launchApp) to start it afterwards.
+  * 
+  * ```js
+  * I.reinstallApp();
   * I.launchApp();
   * ```
   */
-  async launchApp() {
-    return this.device.launchApp({ newInstance: false });
+  async reinstallApp() {
+    await this.device.uninstallApp();
+    await this.device.installApp();
   }
 
   /**
@@ -326,6 +791,7 @@ class Detox extends Helper {
    * I.tap('#user'); // locate by id
    * I.tap('Login', '#nav'); // locate by text inside #nav
    * I.tap({ ios: 'Save', android: 'SAVE' }, '#main'); // different texts on iOS and Android
+   * I.tap({ text: 'Delete', index: 1 }); // second element with text "Delete"
    * ```
    * 
    * @param {CodeceptJS.LocatorOrString} locator 
@@ -354,9 +820,9 @@ class Detox extends Helper {
    * @param {CodeceptJS.LocatorOrString | null} [context=null] context element
    */
   async multiTap(locator, num, context = null) {
-    locator = this._detectLocator(locator, 'text');
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    await element(locator).multiTap(num);
+    await this._smartWait(locator, 'text', context, 'toBeVisible');
+    const el = await this._element(locator, 'text', context);
+    await el.multiTap(num);
   }
 
   /**
@@ -373,9 +839,9 @@ class Detox extends Helper {
    * @param {CodeceptJS.LocatorOrString | null} [context=null] context element 
    */
   async longPress(locator, sec, context = null) {
-    locator = this._detectLocator(locator, 'text');
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    await element(locator).longPress(sec * 1000);
+    await this._smartWait(locator, 'text', context, 'toBeVisible');
+    const el = await this._element(locator, 'text', context);
+    await el.longPress(sec * 1000);
   }
 
 
@@ -393,15 +859,26 @@ class Detox extends Helper {
    * I.click('#user'); // locate by id
    * I.click('Login', '#nav'); // locate by text inside #nav
    * I.click({ ios: 'Save', android: 'SAVE' }, '#main'); // different texts on iOS and Android
+   * I.click(locate('#item').inside('#list').at(2)); // second #item inside #list
+   * I.click(locate('#list').find('[label="row"]').last()); // last row inside #list, `~row` can't be chained in locate()
+   * I.click({ text: 'Delete', index: 1 }); // second element with text "Delete"
+   * I.click({ text: 'Delete', index: { ios: 2, android: 0 } }); // different indexes on iOS and Android
+   * I.click({ text: 'Delete', index: 1 }, '#list'); // second element with text "Delete" inside #list
+   * I.click('Delete', { id: 'row', index: 1 }); // second #row holding an element with text "Delete"
+   * I.click('*=Save'); // locate by partial text
+   * I.click(/^save$/i); // locate by text matching regular expression
+   * I.click({ text: 'save', ignoreCase: true }); // locate by text ignoring case
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator 
+   * @param {CodeceptJS.LocatorOrString | RegExp} locator 
    * @param {CodeceptJS.LocatorOrString | null} [context=null] 
    */
   async click(locator, context = null) {
-    locator = this._detectLocator(locator, 'text');
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    await element(locator).tap();
+    locator = await this._resolveTextLocator(locator, context);
+    await this._autoScroll(locator, 'text', context);
+    await this._smartWait(locator, 'text', context, 'toBeVisible');
+    const el = await this._element(locator, 'text', context);
+    await el.tap();
   }
 
   /**
@@ -418,7 +895,62 @@ class Detox extends Helper {
   * @param {number} [y=0] vertical offset
   */
   async clickAtPoint(locator, x = 0, y = 0) {
-    await element(this._detectLocator(locator, 'text')).tapAtPoint({ x, y });
+    await this._smartWait(locator, 'text', null, 'toBeVisible');
+    const el = await this._element(locator, 'text');
+    await el.tapAtPoint({ x, y });
+  }
+
+  /**
+   * Drags an element onto another element with a long press.
+   * Supported on iOS only.
+   * 
+   * ```js
+   * I.dragAndDrop('#card-1', '#done-column');
+   * I.dragAndDrop({ ios: '~Row 1', android: '#row-1' }, '~Row 5', 2); // hold for 2 seconds before dragging
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} source an element to drag
+   * @param {CodeceptJS.LocatorOrString} target an element to drop onto
+   * @param {number} [sec=1] number of seconds to hold before dragging
+   */
+  async dragAndDrop(source, target, sec = 1) {
+    await this._smartWait(source, 'text', null, 'toBeVisible');
+    const el = await this._element(source, 'text');
+    if (typeof el.longPressAndDrag !== 'function') throw this._unsupportedGesture('dragAndDrop');
+    await el.longPressAndDrag(sec * 1000, NaN, NaN, await this._element(target, 'text'), NaN, NaN, 'slow', 1000);
+  }
+
+  /**
+   * Drags an element by an offset in points with a long press.
+   * Supported on iOS only.
+   * 
+   * ```js
+   * I.dragBy('~handle', 0, 120); // drag 120 points down
+   * I.dragBy('#slider-thumb', -50, 0, 0.5); // hold for half a second before dragging
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to drag
+   * @param {number} dx horizontal offset
+   * @param {number} dy vertical offset
+   * @param {number} [sec=1] number of seconds to hold before dragging
+   */
+  async dragBy(locator, dx, dy, sec = 1) {
+    await this._smartWait(locator, 'text', null, 'toBeVisible');
+    const el = await this._element(locator, 'text');
+    if (typeof el.longPressAndDrag !== 'function') throw this._unsupportedGesture('dragBy');
+
+    // Detox drops onto a point of an element, so the offset is converted into a point of the window
+    const window = () => element(by.type('UIWindow')).atIndex(0);
+    const attributes = await el.getAttributes();
+    if (attributes.elements) {
+      throw new Error(`${describeLocator(locator)} matches ${attributes.elements.length} elements, set an index to pick one to drag`);
+    }
+    const { frame } = attributes;
+    const { frame: windowFrame } = await window().getAttributes();
+    const normalize = (value, size) => Math.min(1, Math.max(0, value / size));
+    const x = normalize(frame.x + frame.width / 2 + dx - windowFrame.x, windowFrame.width);
+    const y = normalize(frame.y + frame.height / 2 + dy - windowFrame.y, windowFrame.height);
+    await el.longPressAndDrag(sec * 1000, NaN, NaN, window(), x, y, 'slow', 1000);
   }
 
   /**
@@ -429,15 +961,30 @@ class Detox extends Helper {
    * I.see('Record created');
    * I.see('Record updated', '#message');
    * I.see('Record deleted', '~message');
+   * I.see('*=created'); // partial text
+   * I.see(/Record #\d+ created/, '#message'); // text matching regular expression
    * ```
    * 
-   * @param {string} text to check visibility
+   * @param {string | RegExp} text to check visibility
    * @param {CodeceptJS.LocatorOrString | null} [context=null] element inside which to search for text 
    */
-  see(text, context = null) {
+  async see(text, context = null) {
+    const pattern = this._detectTextPattern(text);
+    if (pattern) {
+      const timeout = this._detectSmartWait(text);
+      if (timeout) {
+        await this._waitForTextPattern(pattern, timeout / 1000, context).catch(() => null);
+      }
+      if (await this._findText(pattern, context)) return;
+      throw new Error(`Text matching ${pattern} was not found${context ? ` inside ${describeLocator(context)}` : ''}`);
+    }
     if (context) {
-      return expect(element(this._detectLocator(context))).toHaveText(text);
+      await this._autoScroll(context);
+      await this._smartWait(context);
+      return expect(await this._element(context)).toHaveText(text);
     }
+    await this._autoScroll({ text });
+    await this._smartWait({ text });
     return expect(element(by.text(text))).toExist();
   }
 
@@ -466,15 +1013,15 @@ class Detox extends Helper {
    * ```js
    * I.seeElement('~edit'); // located by accessibility id
    * I.seeElement('~edit', '#menu'); // element inside #menu
+   * I.seeElement({ label: 'edit', index: 1 }); // second element labeled "edit"
    * ```
    * 
    * @param {CodeceptJS.LocatorOrString} locator element to locate 
    * @param {CodeceptJS.LocatorOrString | null} [context=null] context element
    */
-  seeElement(locator, context = null) {
-    locator = this._detectLocator(locator);
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    return expect(element(locator)).toBeVisible();
+  async seeElement(locator, context = null) {
+    await this._smartWait(locator, 'type', context, 'toBeVisible');
+    return expect(await this._element(locator, 'type', context)).toBeVisible();
   }
 
 
@@ -489,10 +1036,8 @@ class Detox extends Helper {
    * @param {CodeceptJS.LocatorOrString} locator element to locate
    * @param {CodeceptJS.LocatorOrString | null} [context=null] context element
    */
-  dontSeeElement(locator, context = null) {
-    locator = this._detectLocator(locator);
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    return expect(element(locator)).toBeNotVisible();
+  async dontSeeElement(locator, context = null) {
+    return expect(await this._element(locator, 'type', context)).toBeNotVisible();
   }
 
   /**
@@ -507,10 +1052,9 @@ class Detox extends Helper {
    * @param {CodeceptJS.LocatorOrString} locator element to locate 
    * @param {CodeceptJS.LocatorOrString} [context=null]  context element
    */
-  seeElementExists(locator, context = null) {
-    locator = this._detectLocator(locator);
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    return expect(element(locator)).toExist();
+  async seeElementExists(locator, context = null) {
+    await this._smartWait(locator, 'type', context, 'toExist');
+    return expect(await this._element(locator, 'type', context)).toExist();
   }
 
   /**
@@ -525,239 +1069,1074 @@ class Detox extends Helper {
    * @param {CodeceptJS.LocatorOrString} locator element to locate 
    * @param {CodeceptJS.LocatorOrString} [context=null] context element
    */
-  dontSeeElementExists(locator, context = null) {
-    locator = this._detectLocator(locator);
-    if (context) locator = this._detectLocator(context).withDescendant(locator);
-    return expect(element(locator)).toNotExist();
+  async dontSeeElementExists(locator, context = null) {
+    return expect(await this._element(locator, 'type', context)).toNotExist();
   }
 
   /**
-   * Fills in text field in an app.
-   * A field can be located by text, accessibility id, id.
+   * Retrieves a text from an element.
+   * If more than one element is matched, text of the first one is returned.
    * 
    * ```js
-   * I.fillField('Username', 'davert');
-   * I.fillField('~name', 'davert');
-   * I.fillField({ android: 'NAME', ios: 'name' }, 'davert');
+   * const orderNumber = await I.grabTextFrom('#orderNumber');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} field an input element to fill in
-   * @param {string} value value to fill 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @returns {Promise<string>}
    */
-  async fillField(field, value) {
-    const locator = this._detectLocator(field, 'text');
-    await element(locator).tap();
-    await element(locator).replaceText(value);
+  async grabTextFrom(locator) {
+    return this.grabAttributeFrom(locator, 'text');
   }
 
   /**
-   * Clears a text field.
-   * A field can be located by text, accessibility id, id.
+   * Retrieves texts from all elements matched by locator.
    * 
    * ```js
-   * I.clearField('~name');
-   * ``` 
+   * const products = await I.grabTextFromAll('#product');
+   * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} field an input element to clear
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @returns {Promise<string[]>}
    */
-  async clearField(field) {
-    const locator = this._detectLocator(field, 'text');
-    await element(locator).tap();
-    await element(locator).clearText();
+  async grabTextFromAll(locator) {
+    return this.grabAttributeFromAll(locator, 'text');
   }
 
   /**
-   * Appends text into the field.
-   * A field can be located by text, accessibility id, id.
+   * Retrieves a value from an element, like a slider position or a switch state.
+   * If more than one element is matched, value of the first one is returned.
    * 
    * ```js
-   * I.appendField('name', 'davert');
+   * const position = await I.grabValueFrom('#slider');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} field 
-   * @param {string} value 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @returns {Promise<any>}
    */
-  async appendField(field, value) {
-    const locator = this._detectLocator(field, 'text');
-    await element(locator).tap();
-    await element(locator).typeText(value);
+  async grabValueFrom(locator) {
+    return this.grabAttributeFrom(locator, 'value');
   }
 
   /**
-   * Scrolls to the top of an element.
+   * Retrieves values from all elements matched by locator.
    * 
    * ```js
-   * I.scrollUp('#container');
+   * const states = await I.grabValueFromAll('~toggle');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @returns {Promise<any[]>}
    */
-  async scrollUp(locator) {
-    await element(this._detectLocator(locator)).scrollTo('top');
+  async grabValueFromAll(locator) {
+    return this.grabAttributeFromAll(locator, 'value');
   }
 
   /**
-   * Scrolls to the bottom of an element.
+   * Retrieves an attribute from an element.
+   * If more than one element is matched, attribute of the first one is returned.
+   * Available attributes are listed in [Detox docs](https://wix.github.io/Detox/docs/api/actions-on-element#getattributes).
    * 
    * ```js
-   * I.scrollDown('#container');
+   * const label = await I.grabAttributeFrom('#submit', 'label');
+   * const enabled = await I.grabAttributeFrom('#submit', 'enabled');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @param {string} attr attribute name
+   * @returns {Promise<any>}
    */
-  async scrollDown(locator) {
-    await element(this._detectLocator(locator)).scrollTo('bottom');
+  async grabAttributeFrom(locator, attr) {
+    const [attributes] = await this._grabAttributes(locator, 1);
+    if (!attributes) throw new Error(`Element ${describeLocator(locator)} was not found`);
+    return attributes[attr];
   }
 
   /**
-   * Scrolls to the left of an element.
+   * Retrieves an attribute from all elements matched by locator.
    * 
    * ```js
-   * I.scrollLeft('#container');
+   * const ids = await I.grabAttributeFromAll('~row', 'identifier');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @param {string} attr attribute name
+   * @returns {Promise<any[]>}
    */
-  async scrollLeft(locator) {
-    await element(this._detectLocator(locator)).scrollTo('left');
+  async grabAttributeFromAll(locator, attr) {
+    return (await this._grabAttributes(locator)).map(attributes => attributes[attr]);
   }
 
-
   /**
-   * Scrolls to the right of an element.
+   * Retrieves position and size of an element.
+   * Position (`x`, `y`) is available on iOS only, Android provides `width` and `height`.
+   * Pass a property name as a second argument to get a single value.
    * 
    * ```js
-   * I.scrollRight('#container');
+   * const { x, y, width, height } = await I.grabElementBoundingRect('#avatar');
+   * const width = await I.grabElementBoundingRect('#avatar', 'width');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator 
+   * @param {CodeceptJS.LocatorOrString} locator element to locate
+   * @param {string} [prop] `x`, `y`, `width` or `height`
+   * @returns {Promise<object | number>}
    */
-  async scrollRight(locator) {
-    await element(this._detectLocator(locator)).scrollTo('right');
+  async grabElementBoundingRect(locator, prop) {
+    const [attributes] = await this._grabAttributes(locator, 1);
+    if (!attributes) throw new Error(`Element ${describeLocator(locator)} was not found`);
+    const rect = attributes.frame
+      ? { x: attributes.frame.x, y: attributes.frame.y, width: attributes.frame.width, height: attributes.frame.height }
+      : { width: attributes.width, height: attributes.height };
+    return prop ? rect[prop] : rect;
   }
 
-
   /**
-   * Performs a swipe up inside an element.
-   * Can be `slow` or `fast` swipe.
+   * Fills in text field in an app.
+   * A field can be located by text, accessibility id, id.
    * 
    * ```js
-   * I.swipeUp('#container');
+   * I.fillField('Username', 'davert');
+   * I.fillField('~name', 'davert');
+   * I.fillField({ android: 'NAME', ios: 'name' }, 'davert');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
-   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {CodeceptJS.LocatorOrString} field an input element to fill in
+   * @param {string} value value to fill 
    */
-  async swipeUp(locator, speed = 'slow') {
-    await element(this._detectLocator(locator)).swipe('up', speed);
+  async fillField(field, value) {
+    await this._smartWait(field, 'text', null, 'toBeVisible');
+    const el = await this._element(field, 'text');
+    await el.tap();
+    this._focusedField = field;
+    await el.replaceText(value);
   }
 
-
   /**
-   * Performs a swipe up inside an element.
-   * Can be `slow` or `fast` swipe.
+   * Clears a text field.
+   * A field can be located by text, accessibility id, id.
    * 
    * ```js
-   * I.swipeUp('#container');
-   * ```
+   * I.clearField('~name');
+   * ``` 
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
-   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {CodeceptJS.LocatorOrString} field an input element to clear
    */
-  async swipeDown(locator, speed = 'slow') {
-    await element(this._detectLocator(locator)).swipe('down', speed);
+  async clearField(field) {
+    await this._smartWait(field, 'text', null, 'toBeVisible');
+    const el = await this._element(field, 'text');
+    await el.tap();
+    this._focusedField = field;
+    await el.clearText();
   }
 
-
   /**
-   * Performs a swipe up inside an element.
-   * Can be `slow` or `fast` swipe.
+   * Appends text into the field.
+   * A field can be located by text, accessibility id, id.
    * 
    * ```js
-   * I.swipeUp('#container');
+   * I.appendField('name', 'davert');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
-   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {CodeceptJS.LocatorOrString} field 
+   * @param {string} value 
    */
-  async swipeLeft(locator, speed = 'slow') {
-    await element(this._detectLocator(locator)).swipe('left', speed);
+  async appendField(field, value) {
+    await this._smartWait(field, 'text', null, 'toBeVisible');
+    const el = await this._element(field, 'text');
+    await el.tap();
+    this._focusedField = field;
+    await el.typeText(value);
   }
 
-
   /**
-   * Performs a swipe up inside an element.
-   * Can be `slow` or `fast` swipe.
+   * Presses a key on the keyboard of a text field.
+   * Supports `Enter` (`Return`), `Backspace` and single characters, pass an array to press keys in a sequence.
+   * When a field is not set, the last field filled by `fillField`, `appendField` or `clearField` is used.
    * 
    * ```js
-   * I.swipeUp('#container');
+   * I.fillField('#password', '123456');
+   * I.pressKey('Enter'); // submit the form from #password
+   * I.pressKey('Backspace', '#name');
+   * I.pressKey(['Backspace', 'Backspace', 'a'], '#name');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
-   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {string | string[]} key a key or a sequence of keys to press
+   * @param {CodeceptJS.LocatorOrString | null} [field=null] a text field to press keys in
    */
-  async swipeRight(locator, speed = 'slow') {
-    await element(this._detectLocator(locator)).swipe('right', speed);
+  async pressKey(key, field = null) {
+    field = field || this._focusedField;
+    if (!field) throw new Error('Field to press keys in is not set, pass a locator or fill a field first');
+
+    const keys = Array.isArray(key) ? key : [key];
+    const unsupported = keys.filter(k => !keyActions[String(k).toLowerCase()] && String(k).length !== 1);
+    if (unsupported.length) {
+      throw new Error(`Keys ${unsupported.join(', ')} are not supported, use Enter, Return, Backspace or single characters`);
+    }
+
+    await this._smartWait(field, 'text', null, 'toBeVisible');
+    const el = await this._element(field, 'text');
+    for (const k of keys) {
+      const action = keyActions[String(k).toLowerCase()];
+      if (action) {
+        await el[action]();
+      } else {
+        await el.typeText(k);
+      }
+    }
   }
 
   /**
-   * Waits for number of seconds
+   * Hides the soft keyboard opened for a field.
+   * On Android it presses Back button when the field has focus and the keyboard is shown,
+   * so a screen is not navigated back when the keyboard is already hidden.
+   * On iOS it taps Return key of the keyboard (Detox `tapReturnKey`), which hides it for a single-line field
+   * but submits it as well, so an app may react to it the same way it does to `I.pressKey('Enter')`.
+   * When a field is not set, the last field filled by `fillField`, `appendField` or `clearField` is used.
    * 
    * ```js
-   * I.wait(2); // waits for 2 seconds
+   * I.fillField('#name', 'davert');
+   * I.hideDeviceKeyboard();
    * ```
    * 
-   * @param {number} sec number of seconds to wait
+   * @param {CodeceptJS.LocatorOrString | null} [field=null] a text field keyboard is opened for
    */
-  async wait(sec) {
-    return new Promise(((done) => {
-      setTimeout(done, sec * 1000);
-    }));
+  async hideDeviceKeyboard(field = null) {
+    field = field || this._focusedField;
+    if (!field) throw new Error('Field with opened keyboard is not set, pass a locator or fill a field first');
+    const el = await this._element(field, 'text');
+    if (this.device.getPlatform() === 'android') {
+      if ((await el.getAttributes()).focused && await this._isKeyboardShown()) await this.device.pressBack();
+      return;
+    }
+    await el.tapReturnKey();
+  }
+
+  // an Android field keeps focus when its keyboard is hidden, so input method state is asked from a device
+  async _isKeyboardShown() {
+    const { stdout } = await execFile(adbPath(), ['-s', this.device.id, 'shell', 'dumpsys', 'input_method']);
+    const shown = /mInputShown=(true|false)/.exec(stdout);
+    return shown ? shown[1] === 'true' : true;
   }
 
   /**
-   * Waits for an element to exist on page.
+   * Turns on a switch or a checkbox.
+   * Does nothing if it is already checked.
    * 
    * ```js
-   * I.waitForElement('#message', 1); // wait for 1 second
+   * I.checkOption('#agree');
+   * I.checkOption('~Notifications');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element to wait for
-   * @param {number} [sec=5] number of seconds to wait, 5 by default
+   * @param {CodeceptJS.LocatorOrString} field a switch or a checkbox to check
    */
-  async waitForElement(locator, sec = 5) {
-    return waitFor(element(this._detectLocator(locator))).toExist().withTimeout(sec * 1000);
+  async checkOption(field) {
+    await this._smartWait(field, 'type', null, 'toBeVisible');
+    if (!(await this._isChecked(field))) await (await this._element(field)).tap();
   }
 
   /**
-   * Waits for an element to be visible on page.
+   * Turns off a switch or a checkbox.
+   * Does nothing if it is already unchecked.
    * 
    * ```js
-   * I.waitForElementVisible('#message', 1); // wait for 1 second
+   * I.uncheckOption('#agree');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator an element to wait for
-   * @param {number} [sec=5] number of seconds to wait
+   * @param {CodeceptJS.LocatorOrString} field a switch or a checkbox to uncheck
    */
-  async waitForElementVisible(locator, sec = 5) {
-    return waitFor(element(this._detectLocator(locator))).toBeVisible().withTimeout(sec * 1000);
+  async uncheckOption(field) {
+    await this._smartWait(field, 'type', null, 'toBeVisible');
+    if (await this._isChecked(field)) await (await this._element(field)).tap();
   }
 
   /**
-   * Waits an elment to become not visible.
+   * Checks that a switch or a checkbox is turned on.
    * 
    * ```js
-   * I.waitToHide('#message', 2); // wait for 2 seconds
+   * I.seeCheckboxIsChecked('#agree');
    * ```
    * 
-   * @param {CodeceptJS.LocatorOrString} locator  an element to wait for
-   * @param {number} [sec=5] number of seconds to wait
+   * @param {CodeceptJS.LocatorOrString} field a switch or a checkbox to check
    */
-  async waitToHide(locator, sec = 5) {
-    return waitFor(element(this._detectLocator(locator))).toBeNotVisible().withTimeout(sec * 1000);
+  async seeCheckboxIsChecked(field) {
+    await this._smartWait(field);
+    return expect(await this._element(field)).toHaveToggleValue(true);
   }
 
-  _detectLocator(locator, type = 'type') {
+  /**
+   * Checks that a switch or a checkbox is turned off.
+   * 
+   * ```js
+   * I.dontSeeCheckboxIsChecked('#agree');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} field a switch or a checkbox to check
+   */
+  async dontSeeCheckboxIsChecked(field) {
+    await this._smartWait(field);
+    return expect(await this._element(field)).toHaveToggleValue(false);
+  }
+
+  /**
+   * Moves a slider to a position.
+   * Position is a number between 0 and 1.
+   * 
+   * ```js
+   * I.setSliderPosition('#volume', 0.75);
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a slider element
+   * @param {number} position a position from 0 to 1
+   */
+  async setSliderPosition(locator, position) {
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    const el = await this._element(locator);
+    await el.adjustSliderToPosition(position);
+  }
+
+  /**
+   * Checks position of a slider.
+   * Position is a number between 0 and 1.
+   * 
+   * ```js
+   * I.seeSliderPosition('#volume', 0.75);
+   * I.seeSliderPosition('#volume', 0.75, 0.05); // with tolerance
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a slider element
+   * @param {number} position expected position from 0 to 1
+   * @param {number} [tolerance=0] allowed difference from the expected position
+   */
+  async seeSliderPosition(locator, position, tolerance = 0) {
+    await this._smartWait(locator);
+    return expect(await this._element(locator)).toHaveSliderPosition(position, tolerance);
+  }
+
+  /**
+   * Selects a value in a picker column.
+   * Works with `UIPickerView` on iOS only.
+   * 
+   * ```js
+   * I.selectOption('UIPickerView', 'March'); // first column
+   * I.selectOption('#timePicker', '30', 1); // second column
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a picker element
+   * @param {string} value value to select
+   * @param {number} [column=0] picker column
+   */
+  async selectOption(locator, value, column = 0) {
+    if (this.device.getPlatform() !== 'ios') {
+      throw new Error('selectOption is supported on iOS only');
+    }
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    const el = await this._element(locator);
+    await el.setColumnToValue(column, value);
+  }
+
+  /**
+   * Sets a date in a date picker.
+   * Accepts a JS Date or an ISO string, date-only strings like `2019-02-06` are set in device timezone.
+   * On iOS it works with `UIDatePicker`.
+   * On Android it works with `android.widget.DatePicker` in spinner mode (`datePickerMode="spinner"`, `display="spinner"`
+   * of React Native date pickers) with English month names: a value is typed into each of its number pickers.
+   * A calendar date of a JS Date is taken in the timezone of the test runner on Android.
+   * 
+   * ```js
+   * I.setDate('UIDatePicker', '2019-02-06');
+   * I.setDate('#checkIn', new Date(2019, 1, 6, 10, 30));
+   * I.setDate('#checkIn', '2019-02-06T05:10:00-08:00');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a date picker element
+   * @param {Date | string} date date to set
+   */
+  async setDate(locator, date) {
+    if (this.device.getPlatform() === 'android') {
+      const [year, month, day] = calendarDate(date);
+      await this._smartWait(locator, 'type', null, 'toBeVisible');
+      return this._setSpinnerValues(locator, [
+        { name: 'year', matches: text => /^\d{4}$/.test(text), value: String(year) },
+        { name: 'month', matches: text => shortMonthNames.includes(text), value: shortMonthNames[month - 1] },
+        { name: 'day', matches: text => /^\d{1,2}$/.test(text), value: String(day) },
+      ]);
+    }
+    let dateString = date;
+    let dateFormat = 'yyyy-MM-dd';
+    if (!(typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date))) {
+      const parsed = date instanceof Date ? date : new Date(date);
+      if (Number.isNaN(parsed.getTime())) throw new Error(`Invalid date: ${date}`);
+      dateString = parsed.toISOString();
+      dateFormat = "yyyy-MM-dd'T'HH:mm:ss.SSSXXX";
+    }
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    const el = await this._element(locator);
+    await el.setDatePickerDate(dateString, dateFormat);
+  }
+
+  /**
+   * Sets a time in a time picker, time is passed in 24-hour `HH:mm` format.
+   * On iOS it works with `UIDatePicker`.
+   * On Android it works with `android.widget.TimePicker` in spinner mode (`timePickerMode="spinner"`, `display="spinner"`
+   * of React Native time pickers), in 12-hour pickers AM or PM is set as well.
+   * 
+   * ```js
+   * I.setTime('UIDatePicker', '18:30');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a time picker element
+   * @param {string} time time in `HH:mm` format
+   */
+  async setTime(locator, time) {
+    if (!/^\d{1,2}:\d{2}$/.test(time)) throw new Error(`Invalid time: ${time}, expected HH:mm`);
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    if (this.device.getPlatform() === 'android') {
+      const [hours, minutes] = time.split(':').map(Number);
+      const isAmPm = text => /^[AP]\.?M\.?$/i.test(text);
+      const texts = await this._spinnerTexts(locator);
+      const twelveHours = texts.some(isAmPm);
+      return this._setSpinnerValues(locator, [
+        { name: 'hour', matches: text => /^\d{1,2}$/.test(text), value: String(twelveHours ? (hours % 12 || 12) : hours) },
+        { name: 'minute', matches: text => /^\d{1,2}$/.test(text), value: String(minutes) },
+        ...(twelveHours ? [{ name: 'AM/PM', matches: isAmPm, value: hours < 12 ? 'AM' : 'PM' }] : []),
+      ], texts);
+    }
+    const el = await this._element(locator);
+    await el.setDatePickerDate(time, 'HH:mm');
+  }
+
+  /**
+   * Checks that an element shows a date.
+   * A date is formatted with tokens `YYYY`, `YY`, `MMMM`, `MMM`, `MM`, `M`, `DD`, `Do`, `D`, `HH`, `H`, `hh`, `h`, `mm`, `A`
+   * or with a function, and expected to be a part of element's text. Wrap literal text in square brackets: `[Date:] YYYY`.
+   * 
+   * ```js
+   * I.seeDate('#dateLabel', '2019-02-06'); // "2019-02-06"
+   * I.seeDate('#dateLabel', new Date(2019, 1, 6), 'MMM Do, YYYY'); // "Feb 6th, 2019"
+   * I.seeDate('#dateLabel', new Date(2019, 1, 6), date => date.toDateString());
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element showing a date
+   * @param {Date | string} date expected date
+   * @param {string | Function} [format='YYYY-MM-DD'] date format
+   */
+  async seeDate(locator, date, format = 'YYYY-MM-DD') {
+    let parsed = date instanceof Date ? date : new Date(date);
+    if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      const [year, month, day] = date.split('-').map(Number);
+      parsed = new Date(year, month - 1, day);
+    }
+    if (Number.isNaN(parsed.getTime())) throw new Error(`Invalid date: ${date}`);
+    const text = typeof format === 'function' ? format(parsed) : formatDate(parsed, format);
+    return this.see(`*=${text}`, locator);
+  }
+
+  /**
+   * Scrolls to the top of an element.
+   * 
+   * ```js
+   * I.scrollUp('#container');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator 
+   */
+  async scrollUp(locator) {
+    await this._smartWait(locator);
+    const el = await this._element(locator);
+    await el.scrollTo('top');
+  }
+
+  /**
+   * Scrolls to the bottom of an element.
+   * 
+   * ```js
+   * I.scrollDown('#container');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator 
+   */
+  async scrollDown(locator) {
+    await this._smartWait(locator);
+    const el = await this._element(locator);
+    await el.scrollTo('bottom');
+  }
+
+  /**
+   * Scrolls to the left of an element.
+   * 
+   * ```js
+   * I.scrollLeft('#container');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator 
+   */
+  async scrollLeft(locator) {
+    await this._smartWait(locator);
+    const el = await this._element(locator);
+    await el.scrollTo('left');
+  }
+
+
+  /**
+   * Scrolls to the right of an element.
+   * 
+   * ```js
+   * I.scrollRight('#container');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator 
+   */
+  async scrollRight(locator) {
+    await this._smartWait(locator);
+    const el = await this._element(locator);
+    await el.scrollTo('right');
+  }
+
+
+  /**
+   * Scrolls a container until an element becomes visible.
+   * By default scrolls down with 200px steps until the edge of a container.
+   * 
+   * ```js
+   * I.scrollTo('Row 57', '#list');
+   * I.scrollTo('#footer', '#page', { direction: 'up', step: 100 });
+   * I.scrollTo('~item', '#carousel', { direction: 'right', maxScrolls: 5 });
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to scroll to
+   * @param {CodeceptJS.LocatorOrString} container a scroll view to scroll
+   * @param {object} [options] scroll options:
+   * * `direction` - `up`, `down`, `left` or `right`, `down` by default
+   * * `step` - pixels to scroll at once, 200 by default
+   * * `maxScrolls` - number of scrolls after which scrolling stops, by default scrolls until the edge
+   */
+  async scrollTo(locator, container, options = {}) {
+    const { direction = 'down', step = 200, maxScrolls } = options;
+    await this._smartWait(container);
+    if (maxScrolls === undefined) {
+      await waitFor(await this._element(locator, 'text')).toBeVisible().whileElement(this._detectLocator(container)).scroll(step, direction);
+      return;
+    }
+    for (let scrolls = 0; scrolls < maxScrolls; scrolls++) {
+      if (await this._isVisible(locator, 'text')) return;
+      const el = await this._element(container);
+      await el.scroll(step, direction);
+    }
+    await expect(await this._element(locator, 'text')).toBeVisible();
+  }
+
+  /**
+   * Performs a swipe up inside an element.
+   * Can be `slow` or `fast` swipe, pass options to set swipe length and a start point.
+   * 
+   * ```js
+   * I.swipeUp('#container');
+   * I.swipeUp('#container', 'fast');
+   * I.swipeUp('#container', { speed: 'fast', percentage: 0.5, startX: 0.5, startY: 0.5 });
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
+   * @param {string | object} [speed='slow'] a speed to perform: `slow` or `fast`, or swipe options:
+   * * `speed` - `slow` or `fast`
+   * * `percentage` - swipe length relative to the screen width (left, right) or height (up, down), from 0 to 1
+   * * `startX`, `startY` - normalized start point inside an element, from 0 to 1
+   */
+  async swipeUp(locator, speed = 'slow') {
+    await this._swipe(locator, 'up', speed);
+  }
+
+
+  /**
+   * Performs a swipe down inside an element.
+   * Can be `slow` or `fast` swipe, pass options to set swipe length and a start point.
+   * 
+   * ```js
+   * I.swipeDown('#container');
+   * I.swipeDown('#container', 'fast');
+   * I.swipeDown('#container', { speed: 'fast', percentage: 0.5, startX: 0.5, startY: 0.5 });
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
+   * @param {string | object} [speed='slow'] a speed to perform: `slow` or `fast`, or swipe options:
+   * * `speed` - `slow` or `fast`
+   * * `percentage` - swipe length relative to the screen width (left, right) or height (up, down), from 0 to 1
+   * * `startX`, `startY` - normalized start point inside an element, from 0 to 1
+   */
+  async swipeDown(locator, speed = 'slow') {
+    await this._swipe(locator, 'down', speed);
+  }
+
+
+  /**
+   * Performs a swipe left inside an element.
+   * Can be `slow` or `fast` swipe, pass options to set swipe length and a start point.
+   * 
+   * ```js
+   * I.swipeLeft('#container');
+   * I.swipeLeft('#container', 'fast');
+   * I.swipeLeft('#container', { speed: 'fast', percentage: 0.5, startX: 0.5, startY: 0.5 });
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
+   * @param {string | object} [speed='slow'] a speed to perform: `slow` or `fast`, or swipe options:
+   * * `speed` - `slow` or `fast`
+   * * `percentage` - swipe length relative to the screen width (left, right) or height (up, down), from 0 to 1
+   * * `startX`, `startY` - normalized start point inside an element, from 0 to 1
+   */
+  async swipeLeft(locator, speed = 'slow') {
+    await this._swipe(locator, 'left', speed);
+  }
+
+
+  /**
+   * Performs a swipe right inside an element.
+   * Can be `slow` or `fast` swipe, pass options to set swipe length and a start point.
+   * 
+   * ```js
+   * I.swipeRight('#container');
+   * I.swipeRight('#container', 'fast');
+   * I.swipeRight('#container', { speed: 'fast', percentage: 0.5, startX: 0.5, startY: 0.5 });
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform swipe
+   * @param {string | object} [speed='slow'] a speed to perform: `slow` or `fast`, or swipe options:
+   * * `speed` - `slow` or `fast`
+   * * `percentage` - swipe length relative to the screen width (left, right) or height (up, down), from 0 to 1
+   * * `startX`, `startY` - normalized start point inside an element, from 0 to 1
+   */
+  async swipeRight(locator, speed = 'slow') {
+    await this._swipe(locator, 'right', speed);
+  }
+
+  /**
+   * Pulls a scroll view down to trigger refresh.
+   * Performs a long slow swipe starting from the top edge of an element.
+   * 
+   * ```js
+   * I.pullToRefresh('#feed');
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator a scroll view to refresh
+   */
+  async pullToRefresh(locator) {
+    await this._swipe(locator, 'down', {
+      speed: 'slow', percentage: 0.9, startX: 0.5, startY: 0.05,
+    });
+  }
+
+  /**
+   * Pinches fingers together inside an element, zooming it out.
+   * Supported on iOS only.
+   * 
+   * ```js
+   * I.pinchIn('#map');
+   * I.pinchIn('#map', 'fast', Math.PI / 4); // fast pinch at 45 degrees
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform pinch
+   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {number} [angle=0] an angle of pinch in radians
+   */
+  async pinchIn(locator, speed = 'slow', angle = 0) {
+    await this._pinch('pinchIn', locator, 'inward', speed, angle);
+  }
+
+  /**
+   * Spreads fingers apart inside an element, zooming it in.
+   * Supported on iOS only.
+   * 
+   * ```js
+   * I.pinchOut('#map');
+   * I.pinchOut('#map', 'fast', Math.PI / 4); // fast pinch at 45 degrees
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element on which to perform pinch
+   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {number} [angle=0] an angle of pinch in radians
+   */
+  async pinchOut(locator, speed = 'slow', angle = 0) {
+    await this._pinch('pinchOut', locator, 'outward', speed, angle);
+  }
+
+  /**
+   * Zooms an element by a scale with a pinch gesture.
+   * Scale above 1 zooms in, below 1 zooms out.
+   * Supported on iOS only, requires Detox version providing `pinch` action.
+   * 
+   * ```js
+   * I.zoom('#image', 2); // zoom in twice
+   * I.zoom('#image', 0.5, 'fast'); // zoom out
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to zoom
+   * @param {number} scale zoom scale
+   * @param {string} [speed='slow'] a speed to perform: `slow` or `fast`.
+   * @param {number} [angle=0] an angle of pinch in radians
+   */
+  async zoom(locator, scale, speed = 'slow', angle = 0) {
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    const el = await this._element(locator);
+    if (typeof el.pinch !== 'function') throw this._unsupportedGesture('zoom');
+    await el.pinch(scale, speed, angle);
+  }
+
+  /**
+   * Waits for number of seconds
+   * 
+   * ```js
+   * I.wait(2); // waits for 2 seconds
+   * ```
+   * 
+   * @param {number} sec number of seconds to wait
+   */
+  async wait(sec) {
+    return new Promise(((done) => {
+      setTimeout(done, sec * 1000);
+    }));
+  }
+
+  /**
+   * Waits for an element to exist on page.
+   * 
+   * ```js
+   * I.waitForElement('#message', 1); // wait for 1 second
+   * I.waitForElement(/Order #\d+/, 10); // wait for text matching regular expression
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString | RegExp} locator an element to wait for
+   * @param {number} [sec=5] number of seconds to wait, 5 by default
+   */
+  async waitForElement(locator, sec = 5) {
+    const pattern = this._detectTextPattern(locator);
+    if (pattern) return this._waitForTextPattern(pattern, sec);
+    return waitFor(await this._element(locator)).toExist().withTimeout(sec * 1000);
+  }
+
+  /**
+   * Waits for an element to be visible on page.
+   * 
+   * ```js
+   * I.waitForElementVisible('#message', 1); // wait for 1 second
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to wait for
+   * @param {number} [sec=5] number of seconds to wait
+   */
+  async waitForElementVisible(locator, sec = 5) {
+    return waitFor(await this._element(locator)).toBeVisible().withTimeout(sec * 1000);
+  }
+
+  /**
+   * Waits an elment to become not visible.
+   * 
+   * ```js
+   * I.waitToHide('#message', 2); // wait for 2 seconds
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator  an element to wait for
+   * @param {number} [sec=5] number of seconds to wait
+   */
+  async waitToHide(locator, sec = 5) {
+    return waitFor(await this._element(locator)).toBeNotVisible().withTimeout(sec * 1000);
+  }
+
+  /**
+   * Waits for a text to be visible.
+   * Use third parameter to wait for text inside an element.
+   * 
+   * ```js
+   * I.waitForText('Saved'); // wait for 5 seconds
+   * I.waitForText('Saved', 2, '#toast'); // wait for 2 seconds for text inside #toast
+   * I.waitForText(/Order #\d+/, 10); // wait for text matching regular expression
+   * ```
+   * 
+   * @param {string | RegExp} text text to wait for
+   * @param {number} [sec=5] number of seconds to wait
+   * @param {CodeceptJS.LocatorOrString | null} [context=null] element inside which to search for text
+   */
+  async waitForText(text, sec = 5, context = null) {
+    const pattern = this._detectTextPattern(text);
+    if (pattern) return this._waitForTextPattern(pattern, sec, context);
+    const matcher = context ? by.text(text).withAncestor(this._detectLocator(context)) : by.text(text);
+    return waitFor(element(matcher)).toBeVisible().withTimeout(sec * 1000);
+  }
+
+  /**
+   * Waits for an element to have a value.
+   * 
+   * ```js
+   * I.waitForValue('#counter', '5'); // wait for 5 seconds
+   * I.waitForValue('~slider', '75%', 2); // wait for 2 seconds
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to check
+   * @param {string} value value to wait for
+   * @param {number} [sec=5] number of seconds to wait
+   */
+  async waitForValue(locator, value, sec = 5) {
+    return waitFor(await this._element(locator)).toHaveValue(value).withTimeout(sec * 1000);
+  }
+
+  /**
+   * Waits for an element to become enabled.
+   * 
+   * ```js
+   * I.waitForEnabled('#submit'); // wait for 5 seconds
+   * I.waitForEnabled('~Save', 2); // wait for 2 seconds
+   * ```
+   * 
+   * @param {CodeceptJS.LocatorOrString} locator an element to wait for
+   * @param {number} [sec=5] number of seconds to wait
+   */
+  async waitForEnabled(locator, sec = 5) {
+    // Detox can't wait for enabled state natively, so element attributes are polled
+    const timeout = Date.now() + sec * 1000;
+    do {
+      const attributes = await this._element(locator).then(el => el.getAttributes()).catch(() => ({}));
+      if (attributes.enabled) return;
+      await this.wait(0.5);
+    } while (Date.now() < timeout);
+    throw new Error(`Element ${describeLocator(locator)} was not enabled after ${sec} sec`);
+  }
+
+  _detectTextPattern(locator) {
+    const platform = this.device.getPlatform();
+    if (locator && typeof locator === 'object' && locator[platform]) return this._detectTextPattern(locator[platform]);
+    return textPattern(locator);
+  }
+
+  async _resolveTextLocator(locator, context = null) {
+    const pattern = this._detectTextPattern(locator);
+    if (!pattern) return locator;
+    const timeout = this._detectSmartWait(locator);
+    const found = timeout
+      ? await this._waitForTextPattern(pattern, timeout / 1000, context).catch(() => null)
+      : await this._findText(pattern, context);
+    if (!found) throw new Error(`Element with text matching ${pattern} was not found${context ? ` inside ${describeLocator(context)}` : ''}`);
+    return found;
+  }
+
+  async _findText(pattern, context = null) {
+    const matches = value => typeof value === 'string' && pattern.test(value);
+    const toLocator = attrs => (matches(attrs.text) ? { text: attrs.text } : { label: attrs.label });
+    const candidates = [];
+    if (context) {
+      candidates.push(...await this._getAttributesAll(() => this._detectLocator(context)));
+    }
+    candidates.push(...await this._getAttributesAll(() => {
+      const matcher = by.type(textElementTypes[this.device.getPlatform()]);
+      return context ? matcher.withAncestor(this._detectLocator(context)) : matcher;
+    }));
+    const found = candidates.find(attrs => matches(attrs.text) || matches(attrs.label));
+    return found && toLocator(found);
+  }
+
+  async _waitForTextPattern(pattern, sec, context = null) {
+    const timeout = Date.now() + sec * 1000;
+    do {
+      const found = await this._findText(pattern, context);
+      if (found) return found;
+      await this.wait(0.5);
+    } while (Date.now() < timeout);
+    throw new Error(`Text matching ${pattern} was not found${context ? ` inside ${describeLocator(context)}` : ''} after ${sec} sec`);
+  }
+
+  // Detox keeps screenshots in its temp dir or artifacts tree, the copy is the one CodeceptJS plugins look for
+  _copyScreenshot(screenshot, name, fullPath = false) {
+    const outputFile = fullPath ? path.resolve(name) : path.join(global.output_dir, name);
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    fs.copyFileSync(screenshot, outputFile);
+    return outputFile;
+  }
+
+  async _takeElementScreenshot(locator) {
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    return (await this._element(locator)).takeScreenshot(`element-${Date.now()}`);
+  }
+
+  async _swipe(locator, direction, options) {
+    const {
+      speed = 'slow', percentage = NaN, startX = NaN, startY = NaN,
+    } = typeof options === 'string' ? { speed: options } : options || {};
+    await this._smartWait(locator);
+    const el = await this._element(locator);
+    await el.swipe(direction, speed, percentage, startX, startY);
+  }
+
+  async _pinch(action, locator, direction, speed, angle) {
+    await this._smartWait(locator, 'type', null, 'toBeVisible');
+    const el = await this._element(locator);
+    if (typeof el.pinch === 'function') {
+      return el.pinch(direction === 'inward' ? 0.5 : 2, speed, angle);
+    }
+    // older Detox versions provide pinch by direction only
+    if (typeof el.pinchWithAngle === 'function') {
+      return el.pinchWithAngle(direction, speed, angle);
+    }
+    throw this._unsupportedGesture(action);
+  }
+
+  _unsupportedGesture(action) {
+    return new Error(`${action} is not supported by Detox on ${this.device.getPlatform()}, this gesture is available on iOS only`);
+  }
+
+  // texts of number pickers of an Android date or time picker in spinner mode, in the order they are shown
+  async _spinnerTexts(locator) {
+    const inputs = () => by.type('android.widget.EditText').withAncestor(this._detectLocator(locator));
+    return (await this._getAttributesAll(inputs)).map(attrs => attrs.text || '');
+  }
+
+  // Detox 19 has no picker actions on Android, so each number picker of a spinner is set by typing into its input,
+  // a value is committed when the input loses focus on Return key
+  async _setSpinnerValues(locator, fields, texts = null) {
+    texts = texts || await this._spinnerTexts(locator);
+    if (!texts.length) {
+      throw new Error(`${describeLocator(locator)} is not a date or time picker in spinner mode, other modes can't be set on Android`);
+    }
+    const used = new Set();
+    for (const { name, matches, value } of fields) {
+      const index = texts.findIndex((text, i) => !used.has(i) && matches(text));
+      if (index < 0) throw new Error(`${name} of ${describeLocator(locator)} was not found among ${texts.map(text => `"${text}"`).join(', ')}`);
+      used.add(index);
+      // a matcher is created for each action, as atIndex of Android changes it
+      const input = () => element(by.type('android.widget.EditText').withAncestor(this._detectLocator(locator))).atIndex(index);
+      await input().tap();
+      await input().replaceText(value);
+      await input().tapReturnKey();
+    }
+  }
+
+  async _isChecked(field) {
+    const { value } = await (await this._element(field)).getAttributes();
+    // iOS reports switch state as "1" or "0", Android as a boolean
+    return value === true || value === 1 || value === '1';
+  }
+
+  async _grabAttributes(locator, limit = Infinity) {
+    locator = await this._resolvePositionFromEnd(locator);
+    await this._smartWait(locator);
+    if (this._detectIndex(locator) !== undefined) {
+      return [await (await this._element(locator)).getAttributes()];
+    }
+    return this._getAttributesAll(() => this._detectLocator(locator), limit);
+  }
+
+  async _getAttributesAll(createMatcher, limit = Infinity) {
+    if (this.device.getPlatform() === 'ios') {
+      try {
+        const attributes = await element(createMatcher()).getAttributes();
+        return (attributes.elements || [attributes]).slice(0, limit);
+      } catch (err) {
+        return [];
+      }
+    }
+    // Android can't return attributes of multiple elements at once, so they are collected one by one
+    const attributes = [];
+    for (let index = 0; index < limit; index++) {
+      try {
+        attributes.push(await element(createMatcher()).atIndex(index).getAttributes());
+      } catch (err) {
+        break;
+      }
+    }
+    return attributes;
+  }
+
+  _detectSmartWait(locator) {
+    if (locator && typeof locator === 'object' && !isLocatorBuilder(locator) && !(locator instanceof RegExp)) {
+      if (locator.smartWait !== undefined) return locator.smartWait;
+      const platform = this.device.getPlatform();
+      if (locator[platform]) return this._detectSmartWait(locator[platform]);
+    }
+    return this.options.smartWait;
+  }
+
+  async _smartWait(locator, type = 'type', context = null, condition = 'toExist') {
+    const timeout = this._detectSmartWait(locator);
+    if (!timeout) return;
+    // a failed wait is ignored, the step itself reports a missing element
+    await this._element(locator, type, context)
+      .then(el => waitFor(el)[condition]().withTimeout(timeout))
+      .catch(() => null);
+  }
+
+  async _isVisible(locator, type = 'type', context = null) {
+    try {
+      await expect(await this._element(locator, type, context)).toBeVisible();
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  async _autoScroll(locator, type = 'type', context = null) {
+    if (!this.options.autoScroll) return;
+    if (await this._isVisible(locator, type, context)) return;
+
+    // the nearest scroll view is the one holding the target element
+    const platform = this.device.getPlatform();
+    const container = () => by.type(scrollViewTypes[platform]).withDescendant(this._detectLocator(context || locator, type));
+    for (const direction of ['down', 'up']) {
+      try {
+        await waitFor(await this._element(locator, type, context)).toBeVisible().whileElement(container()).scroll(200, direction);
+        return;
+      } catch (err) {
+        // element is not in this direction
+      }
+    }
+  }
+
+  // Detox picks elements from the start only, so `last()` of locate() builder is turned into a position by counting matches
+  async _resolvePositionFromEnd(locator) {
+    if (isPlainObject(locator) && locator[this.device.getPlatform()]) {
+      return this._resolvePositionFromEnd(locator[this.device.getPlatform()]);
+    }
+    if (!isLocatorBuilder(locator) || !locator.isXPath()) return locator;
+    const { fromEnd } = convertXPathLocator(locator.value);
+    if (fromEnd === undefined) return locator;
+
+    // a matcher is created for each match, as atIndex of Android changes it
+    const count = (await this._getAttributesAll(() => convertXPathLocator(locator.value).matcher)).length;
+    if (count <= fromEnd) throw new Error(`${describeLocator(locator)} matches ${count} element(s), can't pick one at ${fromEnd + 1} from the end`);
+    return new Locator({ xpath: locator.value.replace(/\[position\(\)=last\(\)-\d+\]$/, `[position()=${count - fromEnd}]`) });
+  }
+
+  async _element(locator, type = 'type', context = null) {
+    locator = await this._resolvePositionFromEnd(locator);
+    context = await this._resolvePositionFromEnd(context);
+    const matcher = this._detectLocator(locator, type);
+    const index = this._detectIndex(locator);
+    if (!context) return index === undefined ? element(matcher) : element(matcher).atIndex(index);
+
+    // Detox matchers can't hold an index, so an indexed locator is picked among its matches inside a context,
+    // while an indexed context is picked among contexts holding a locator
+    const contextIndex = this._detectIndex(context);
+    if (index !== undefined && contextIndex !== undefined) {
+      throw new Error('Index can be set either for a locator or for its context, not for both');
+    }
+    if (index !== undefined) return element(matcher.withAncestor(this._detectLocator(context))).atIndex(index);
+    const contextElement = element(this._detectLocator(context).withDescendant(matcher));
+    return contextIndex === undefined ? contextElement : contextElement.atIndex(contextIndex);
+  }
+
+  _detectIndex(locator) {
+    if (isLocatorBuilder(locator)) {
+      if (!locator.isXPath()) return locator.isStrict() ? this._detectIndex(locator.locator) : undefined;
+      const { index, fromEnd } = convertXPathLocator(locator.value);
+      if (fromEnd !== undefined) throw new Error(`Position from the end of ${describeLocator(locator)} is resolved when an element is created`);
+      return index;
+    }
+    if (!locator || typeof locator !== 'object') return undefined;
+    const platform = this.device.getPlatform();
+    if (locator[platform]) return this._detectIndex(locator[platform]);
+    if (locator.index !== null && typeof locator.index === 'object') return locator.index[platform];
+    return locator.index;
+  }
+
+  _detectLocator(locator, type = 'type') {
+    if (isLocatorBuilder(locator)) {
+      if (locator.isXPath()) return convertXPathLocator(locator.value).matcher;
+      return this._detectLocator(locator.isStrict() ? locator.locator : locator.value, type);
+    }
     if (typeof locator === 'object') {
       if (locator.android && this.device.getPlatform() === 'android') return this._detectLocator(locator.android, type);
       if (locator.ios && this.device.getPlatform() === 'ios') return this._detectLocator(locator.ios, type);
@@ -782,4 +2161,648 @@ class Detox extends Helper {
   }
 }
 
+/**
+ * Thrown when a helper step fails, describes the step, its locator and similar elements on screen.
+ */
+class StepError extends Error {
+  constructor(message, cause) {
+    super(message);
+    this.name = 'StepError';
+    this.cause = cause;
+  }
+}
+
+// element classes matching any view, used to look for similar elements when a step fails
+const anyElementTypes = {
+  ios: 'UIView',
+  android: 'android.view.View',
+};
+
+// Android collects attributes one element at a time, so the lookup is limited
+const maxSimilarCandidates = 50;
+
+// messages of Espresso on Android and of Detox on iOS when no element matches
+const notFoundMessages = /No views in hierarchy found matching|NoMatchingViewException|No elements found for/;
+
+function isNotFoundError(err) {
+  return notFoundMessages.test(String(err && (err.stack || err.message || err)));
+}
+
+/**
+ * Describes a locator or a step argument the way it was passed into a step.
+ *
+ * @param {any} locator
+ * @returns {string}
+ */
+function describeLocator(locator) {
+  if (locator instanceof RegExp) return String(locator);
+  if (isLocatorBuilder(locator)) return `locate(${locator.toString()})`;
+  if (typeof locator === 'function') return 'fn';
+  return JSON.stringify(locator, (key, value) => (value instanceof RegExp ? String(value) : value));
+}
+
+/**
+ * Extracts a text value from a locator to compare with ids, labels and texts on screen.
+ *
+ * @param {any} locator
+ * @returns {string | null}
+ */
+function locatorValue(locator) {
+  if (locator instanceof RegExp) return locator.source;
+  if (typeof locator === 'string') return locator.replace(/^(#|~|\*=)/, '');
+  if (locator && typeof locator === 'object' && !isLocatorBuilder(locator)) {
+    const value = locator.id || locator.label || locator.text;
+    return value ? locatorValue(value) : null;
+  }
+  return null;
+}
+
+/**
+ * Returns edit distance between case-insensitive strings, or null when they are not similar.
+ *
+ * @param {string} expected
+ * @param {string} actual
+ * @returns {number | null}
+ */
+function similarity(expected, actual) {
+  const a = expected.toLowerCase();
+  const b = String(actual).toLowerCase();
+  if (a === b) return 0;
+  if (a.includes(b) || b.includes(a)) return 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (v, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  const distance = previous[b.length];
+  return distance <= Math.max(2, Math.floor(a.length / 3)) ? distance : null;
+}
+
+// keys which are pressed by dedicated Detox actions
+const keyActions = {
+  enter: 'tapReturnKey',
+  return: 'tapReturnKey',
+  backspace: 'tapBackspaceKey',
+};
+
+const monthNames = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const shortMonthNames = monthNames.map(name => name.slice(0, 3));
+
+/**
+ * Returns year, month (1-12) and day of a date, a date-only string is taken as is.
+ *
+ * @param {Date | string} date
+ * @returns {number[]}
+ */
+function calendarDate(date) {
+  const dateOnly = typeof date === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+  if (dateOnly) return dateOnly.slice(1).map(Number);
+  const parsed = date instanceof Date ? date : new Date(date);
+  if (Number.isNaN(parsed.getTime())) throw new Error(`Invalid date: ${date}`);
+  return [parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate()];
+}
+
+/**
+ * Formats a date in local time with moment-like tokens, text in square brackets is kept as is.
+ *
+ * @param {Date} date
+ * @param {string} format
+ * @returns {string}
+ */
+function formatDate(date, format) {
+  const pad = value => String(value).padStart(2, '0');
+  const ordinal = (day) => {
+    if (day % 100 >= 11 && day % 100 <= 13) return `${day}th`;
+    return `${day}${{ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th'}`;
+  };
+  const hours12 = date.getHours() % 12 || 12;
+  const tokens = {
+    YYYY: date.getFullYear(),
+    YY: pad(date.getFullYear() % 100),
+    MMMM: monthNames[date.getMonth()],
+    MMM: monthNames[date.getMonth()].slice(0, 3),
+    MM: pad(date.getMonth() + 1),
+    M: date.getMonth() + 1,
+    DD: pad(date.getDate()),
+    Do: ordinal(date.getDate()),
+    D: date.getDate(),
+    HH: pad(date.getHours()),
+    H: date.getHours(),
+    hh: pad(hours12),
+    h: hours12,
+    mm: pad(date.getMinutes()),
+    A: date.getHours() < 12 ? 'AM' : 'PM',
+  };
+  return format.replace(/\[[^\]]*\]|YYYY|YY|MMMM|MMM|MM|M|DD|Do|D|HH|H|hh|h|mm|A/g, (token) => {
+    if (token[0] === '[') return token.slice(1, -1);
+    return tokens[token];
+  });
+}
+
+// scroll view classes, used to find a container to scroll when autoScroll is enabled
+const scrollViewTypes = {
+  ios: 'UIScrollView',
+  android: 'android.widget.ScrollView',
+};
+
+// element classes which hold text, searched when text is matched partially or by RegExp
+const textElementTypes = {
+  ios: 'UIView',
+  android: 'android.widget.TextView',
+};
+
+/**
+ * Converts partial (`*=text`), case-insensitive (`{ text, ignoreCase: true }`)
+ * and RegExp text locators into RegExp. Returns null for exact text locators.
+ *
+ * @param {any} locator
+ * @returns {RegExp | null}
+ */
+function textPattern(locator) {
+  if (locator instanceof RegExp) return locator;
+  let text = locator;
+  let flags = '';
+  if (locator && typeof locator === 'object' && !isLocatorBuilder(locator)) {
+    if (locator.text instanceof RegExp) return locator.text;
+    if (!locator.ignoreCase || typeof locator.text !== 'string') return null;
+    text = locator.text;
+    flags = 'i';
+  } else if (typeof text !== 'string' || !text.startsWith('*=')) {
+    return null;
+  }
+  if (text.startsWith('*=')) return new RegExp(escapeRegExp(text.slice(2)), flags);
+  return new RegExp(`^${escapeRegExp(text)}$`, flags);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function isLocatorBuilder(locator) {
+  return !!locator && typeof locator === 'object' && locator.constructor.name === 'Locator';
+}
+
+const xpathAttributes = {
+  id: value => by.id(value),
+  label: value => by.label(value),
+  text: value => by.text(value),
+  type: value => by.type(value),
+};
+
+const xpathAxes = {
+  'ancestor::': 'withAncestor',
+  'descendant::': 'withDescendant',
+  'self::': 'and',
+};
+
+/**
+ * Converts XPath produced by CodeceptJS `locate()` builder into a Detox matcher.
+ * Only a subset generated by `find`, `inside`, `withDescendant`, `withAttr`, `and`, `at`, `first` and `last` is supported.
+ * Detox picks elements by index from the start only, so a position from the end is returned as `fromEnd`
+ * to be resolved by counting matches.
+ *
+ * @param {string} xpath
+ * @returns {{ matcher: any, index: number | undefined, fromEnd: number | undefined }}
+ */
+function convertXPathLocator(xpath) {
+  let pos = 0;
+
+  const fail = (reason) => {
+    throw new Error(`Locator ${xpath} can't be used in Detox: ${reason}`);
+  };
+  const lookAhead = str => xpath.startsWith(str, pos);
+  const consume = (str) => {
+    if (!lookAhead(str)) fail(`expected "${str}" at position ${pos}`);
+    pos += str.length;
+  };
+
+  const parseName = () => {
+    const match = /^[\w.:-]+/.exec(xpath.slice(pos));
+    if (!match) fail(`expected element type at position ${pos}`);
+    pos += match[0].length;
+    return match[0];
+  };
+
+  const parseLiteral = () => {
+    const quote = xpath[pos];
+    if (quote !== '"' && quote !== "'") fail(`expected string at position ${pos}`);
+    const end = xpath.indexOf(quote, pos + 1);
+    if (end < 0) fail('unterminated string');
+    const value = xpath.slice(pos + 1, end);
+    pos = end + 1;
+    return value;
+  };
+
+  const parseCondition = (matchers, relations) => {
+    if (lookAhead('./')) consume('./');
+    if (lookAhead('@')) {
+      consume('@');
+      const attr = parseName();
+      if (!xpathAttributes[attr]) fail(`attribute @${attr} is not supported, use one of: ${Object.keys(xpathAttributes).join(', ')}`);
+      while (lookAhead(' ')) consume(' ');
+      consume('=');
+      while (lookAhead(' ')) consume(' ');
+      matchers.push(xpathAttributes[attr](parseLiteral()));
+      return;
+    }
+    const axis = Object.keys(xpathAxes).find(lookAhead);
+    if (!axis) fail(`unsupported condition at position ${pos}`);
+    consume(axis);
+    const matcher = parsePath();
+    if (xpathAxes[axis] === 'and') return matchers.push(matcher);
+    relations.push([xpathAxes[axis], matcher]);
+  };
+
+  const parseStep = () => {
+    const matchers = [];
+    const relations = [];
+    if (lookAhead('*')) {
+      consume('*');
+    } else {
+      matchers.push(by.type(parseName()));
+    }
+    while (lookAhead('[')) {
+      consume('[');
+      parseCondition(matchers, relations);
+      while (lookAhead(' and ')) {
+        consume(' and ');
+        parseCondition(matchers, relations);
+      }
+      consume(']');
+    }
+    if (!matchers.length) fail('element must be matched by id, label, text or type');
+    let matcher = matchers.reduce((current, next) => current.and(next));
+    for (const [relation, relative] of relations) matcher = matcher[relation](relative);
+    return matcher;
+  };
+
+  const parsePath = () => {
+    let matcher = parseStep();
+    while (lookAhead('//')) {
+      consume('//');
+      matcher = parseStep().withAncestor(matcher);
+    }
+    return matcher;
+  };
+
+  const parseRoot = () => {
+    if (lookAhead('.')) consume('.');
+    if (lookAhead('//')) consume('//');
+    return parsePath();
+  };
+
+  let matcher;
+  let index;
+  let fromEnd;
+  if (lookAhead('(')) {
+    consume('(');
+    matcher = parseRoot();
+    consume(')[position()=');
+    const position = /^(last\(\)-)?(\d+)/.exec(xpath.slice(pos));
+    if (!position) fail(`expected position at ${pos}`);
+    consume(`${position[0]}]`);
+    if (position[1]) {
+      fromEnd = Number(position[2]);
+    } else {
+      index = Number(position[2]) - 1;
+    }
+  } else {
+    matcher = parseRoot();
+  }
+  if (pos < xpath.length) fail(`unexpected "${xpath.slice(pos)}"`);
+
+  return { matcher, index, fromEnd };
+}
+
+// options of the helper
+const optionsSchema = {
+  require: 'string',
+  configuration: 'string',
+  detoxConfigPath: 'string',
+  reloadReactNative: 'boolean',
+  restart: ['none', 'reload', 'relaunch', 'relaunch-clean', 'reinstall', 'once-per-suite'],
+  launchOptions: 'object',
+  reuse: 'boolean',
+  launchApp: 'boolean',
+  registerGlobals: 'boolean',
+  artifactsLocation: 'string',
+  loglevel: ['fatal', 'error', 'warn', 'info', 'verbose', 'debug', 'trace'],
+  cleanup: 'boolean',
+  debugSynchronization: 'number',
+  device: 'object',
+  appLaunchArgs: 'object',
+  smartWait: 'number',
+  autoScroll: 'boolean',
+  baselineFolder: 'string',
+  updateBaselines: 'boolean',
+  failureArtifacts: 'boolean',
+  recordVideo: ['none', 'failing', 'all'],
+  recordLogs: ['none', 'failing', 'all'],
+};
+
+// top level keys of Detox config, including legacy aliases Detox still reads, which can be set in the helper config
+const detoxConfigKeys = [
+  'configurations', 'devices', 'apps', 'artifacts', 'behavior', 'session', 'selectedConfiguration', 'extends',
+  'testRunner', 'test-runner', 'runnerConfig', 'runner-config', 'specs', 'skipLegacyWorkersInjection',
+];
+
+/**
+ * Returns `detox` options of a Scenario or a Feature.
+ *
+ * @param {Mocha.Test | Mocha.Suite} [testOrSuite]
+ * @returns {object}
+ */
+function detoxOptionsOf(testOrSuite) {
+  return (testOrSuite && testOrSuite.opts && testOrSuite.opts.detox) || {};
+}
+
+/**
+ * Returns Detox launch options of a Scenario or a Feature.
+ *
+ * @param {Mocha.Test | Mocha.Suite} [testOrSuite]
+ * @returns {object}
+ */
+function launchOptionsOf(testOrSuite) {
+  const { restart, ...launchOptions } = detoxOptionsOf(testOrSuite);
+  return launchOptions;
+}
+
+/**
+ * Checks a value against a type name or a list of allowed values.
+ *
+ * @param {any} value
+ * @param {string | Array<string>} expected
+ * @returns {boolean}
+ */
+function matchesSchema(value, expected) {
+  if (Array.isArray(expected)) return expected.includes(value);
+  if (expected === 'object') return isPlainObject(value);
+  return typeof value === expected;
+}
+
+/**
+ * Returns binary paths of apps used by a Detox configuration.
+ *
+ * @param {object} configuration
+ * @param {object} apps app aliases of Detox config
+ * @returns {Array<string>}
+ */
+function binaryPathsOf(configuration, apps) {
+  if (configuration.binaryPath) return [configuration.binaryPath];
+
+  const resolve = app => (typeof app === 'string' ? apps[app] : app);
+  return [].concat(configuration.app || configuration.apps || [])
+    .map(resolve)
+    .filter(app => app && app.binaryPath)
+    .map(app => app.binaryPath);
+}
+
+// the same files Detox looks for, in the same order, in each directory up from the current one
+const detoxConfigFiles = ['.detoxrc.js', '.detoxrc.json', '.detoxrc', 'detox.config.js', 'detox.config.json', 'package.json'];
+
+/**
+ * Loads Detox config the way Detox does: from a given file or from the first config file
+ * found in codecept dir, the current working directory or their parents, with `extends` resolved.
+ * Fails when no config is found unless configurations are set in the helper config.
+ *
+ * @param {object} config helper config
+ * @returns {object | undefined}
+ */
+function loadDetoxConfig(config) {
+  if (config.detoxConfigPath) {
+    const configPath = path.resolve(global.codecept_dir, config.detoxConfigPath);
+    if (!fs.existsSync(configPath)) {
+      throw new Error(`Detox config was not found at ${configPath}, check \`detoxConfigPath\` option of Detox helper`);
+    }
+    return readDetoxConfig(configPath);
+  }
+
+  const dirs = [global.codecept_dir, process.cwd()].filter((dir, i, all) => dir && all.indexOf(dir) === i);
+  const configPath = dirs.map(findDetoxConfig).find(Boolean);
+  const detoxConfig = configPath ? readDetoxConfig(configPath) : undefined;
+  if (!detoxConfig && !config.configurations) {
+    throw new Error([
+      `Detox config was not found in ${dirs.join(', ')} or their parent directories, searched for:`,
+      ...detoxConfigFiles.map(file => `  - ${file}${file === 'package.json' ? ' ("detox" section)' : ''}`),
+      'Create one of these files, set `detoxConfigPath` option or `configurations` in the config of Detox helper.',
+    ].join('\n'));
+  }
+  return detoxConfig;
+}
+
+/**
+ * Returns a path of the nearest Detox config file, looking up from a directory.
+ * A package.json without "detox" section is skipped.
+ *
+ * @param {string} dir
+ * @returns {string | null}
+ */
+function findDetoxConfig(dir) {
+  for (let current = path.resolve(dir); ; current = path.dirname(current)) {
+    const file = detoxConfigFiles.map(name => path.join(current, name))
+      .find(location => fs.existsSync(location) && (path.basename(location) !== 'package.json' || hasDetoxSection(location)));
+    if (file) return file;
+    if (path.dirname(current) === current) return null;
+  }
+}
+
+/**
+ * Checks that package.json holds Detox config.
+ *
+ * @param {string} packagePath
+ * @returns {boolean}
+ */
+function hasDetoxSection(packagePath) {
+  try {
+    return !!JSON.parse(fs.readFileSync(packagePath, 'utf8')).detox;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads a Detox config file, a config it `extends` is merged under it.
+ *
+ * @param {string} configPath
+ * @returns {object | undefined}
+ */
+function readDetoxConfig(configPath) {
+  let config = path.extname(configPath) === '.js'
+    ? require(configPath)
+    : JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (path.basename(configPath) === 'package.json') config = config.detox;
+  if (!config || !config.extends) return config;
+
+  const dir = path.dirname(configPath);
+  let basePath;
+  try {
+    basePath = require.resolve(config.extends, { paths: [dir] });
+  } catch (err) {
+    basePath = path.resolve(dir, config.extends);
+    if (!fs.existsSync(basePath)) {
+      throw new Error(`Detox config "${config.extends}" extended by ${configPath} was not found`);
+    }
+  }
+  return mergeDeep({}, readDetoxConfig(basePath), config);
+}
+
+/**
+ * Copies a file or a directory (view hierarchy of iOS is a bundle), fs.cpSync is not available in Node 12.
+ *
+ * @param {string} source
+ * @param {string} target
+ */
+function copyRecursive(source, target) {
+  if (!fs.statSync(source).isDirectory()) {
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+    return;
+  }
+  fs.mkdirSync(target, { recursive: true });
+  for (const entry of fs.readdirSync(source)) {
+    copyRecursive(path.join(source, entry), path.join(target, entry));
+  }
+}
+
+/**
+ * Returns adb used by Detox, falls back to Android SDK from env or to adb in PATH when Detox internals change.
+ *
+ * @returns {string}
+ */
+function adbPath() {
+  try {
+    return require('detox/src/utils/environment').getAdbPath();
+  } catch (err) {
+    const sdk = process.env.ANDROID_SDK_ROOT || process.env.ANDROID_HOME;
+    const adb = sdk && path.join(sdk, 'platform-tools', process.platform === 'win32' ? 'adb.exe' : 'adb');
+    return adb && fs.existsSync(adb) ? adb : 'adb';
+  }
+}
+
+/**
+ * Returns a name of the only configuration of Detox config, Detox selects it without `configuration` option.
+ *
+ * @param {object} config Detox config
+ * @returns {string | undefined}
+ */
+function soleConfigurationOf(config) {
+  const names = Object.keys(config.configurations || {});
+  return names.length === 1 ? names[0] : undefined;
+}
+
+/**
+ * Returns a device or an app of a configuration, which is either set inline or refers to an alias of `devices` or `apps`.
+ *
+ * @param {string | object | undefined} value
+ * @param {object | undefined} aliases
+ * @returns {object | undefined}
+ */
+function resolveAlias(value, aliases) {
+  return typeof value === 'string' ? (aliases || {})[value] : value;
+}
+
+/**
+ * Recursively merges plain objects of sources into a target, other values are replaced.
+ *
+ * @param {object} target
+ * @param {...object} sources
+ * @returns {object} target
+ */
+function mergeDeep(target, ...sources) {
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      target[key] = isPlainObject(value) && isPlainObject(target[key])
+        ? mergeDeep(Object.assign({}, target[key]), value)
+        : (isPlainObject(value) ? mergeDeep({}, value) : value);
+    }
+  }
+  return target;
+}
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]' && !isLocatorBuilder(value);
+}
+
+/**
+ * Detox artifacts path builder which puts test videos to the output dir named after a test,
+ * other artifacts are kept in Detox artifacts tree.
+ */
+class VideoPathBuilder {
+  constructor(rootDir) {
+    this._artifactPathBuilder = detoxArtifactPathBuilder(rootDir);
+  }
+
+  get rootDir() {
+    return this._artifactPathBuilder.rootDir;
+  }
+
+  buildPathForTestArtifact(artifactName, testSummary = null) {
+    if (testSummary && path.extname(artifactName) === '.mp4') {
+      return path.join(global.output_dir, `${artifactFileName(testSummary)}.mp4`);
+    }
+    return this._artifactPathBuilder.buildPathForTestArtifact(artifactName, testSummary);
+  }
+}
+
+/**
+ * Returns Detox artifacts path builder, falls back to the same layout (a folder per test) when Detox internals change.
+ *
+ * @param {string} rootDir
+ * @returns {{ rootDir: string, buildPathForTestArtifact: function(string, object=): string }}
+ */
+function detoxArtifactPathBuilder(rootDir) {
+  try {
+    const ArtifactPathBuilder = require('detox/src/artifacts/utils/ArtifactPathBuilder');
+    return new ArtifactPathBuilder({ rootDir });
+  } catch (err) {
+    return {
+      rootDir,
+      buildPathForTestArtifact: (artifactName, testSummary = null) => path.join(rootDir, testSummary ? artifactFileName(testSummary) : '', artifactName),
+    };
+  }
+}
+
+/**
+ * Builds a file name for artifacts of a test from its full title, so tests of different suites don't share it.
+ *
+ * @param {{title: string, fullTitle?: function(): string, fullName?: string}} test a test or Detox test summary
+ * @returns {string}
+ */
+function artifactFileName(test) {
+  const title = typeof test.fullTitle === 'function' ? test.fullTitle() : (test.fullName || test.title);
+  return title.replace(/[^\w.@-]+/g, '_').slice(0, 150);
+}
+
+/**
+ * Adds `.png` extension to a screenshot name unless it is already there.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function pngFileName(name) {
+  return /\.png$/i.test(name) ? name : `${name}.png`;
+}
+
+/**
+ * Paints a region of an image black so it does not take part in comparison.
+ *
+ * @param {PNG} image
+ * @param {{x: number, y: number, width: number, height: number}} region
+ */
+function maskRegion(image, region) {
+  const right = Math.min(region.x + region.width, image.width);
+  const bottom = Math.min(region.y + region.height, image.height);
+  for (let y = Math.max(region.y, 0); y < bottom; y++) {
+    for (let x = Math.max(region.x, 0); x < right; x++) {
+      const idx = (image.width * y + x) << 2;
+      image.data.fill(0, idx, idx + 3);
+      image.data[idx + 3] = 255;
+    }
+  }
+}
+
 module.exports = Detox;
@@ -0,0 +1,162 @@
+global.Helper = require('codeceptjs').helper;
+
+const Detox = require('../Detox');
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const assert = require('assert');
+
+const writeJSON = (filePath, data) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(data));
+};
+
+const removeDir = dir => (fs.rmSync ? fs.rmSync(dir, { recursive: true, force: true }) : fs.rmdirSync(dir, { recursive: true }));
+
+const configurations = name => ({ [name]: { device: { type: 'android.emulator' }, app: { type: 'android.apk', binaryPath: 'app.apk' } } });
+
+// these tests don't need a device, run them by `npx mocha Detox_config_test.js`
+describe('Detox config', () => {
+  let tmpDir;
+  let cwd;
+
+  beforeEach(() => {
+    cwd = process.cwd();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detox-helper-'));
+    process.chdir(tmpDir);
+    global.codecept_dir = path.join(tmpDir, 'project', 'e2e');
+    fs.mkdirSync(global.codecept_dir, { recursive: true });
+  });
+
+  afterEach(() => {
+    process.chdir(cwd);
+    removeDir(tmpDir);
+  });
+
+  describe('#lookup', () => {
+    it('should find config in codecept dir before the current directory', () => {
+      writeJSON(path.join(tmpDir, '.detoxrc.json'), { configurations: configurations('cwd') });
+      writeJSON(path.join(global.codecept_dir, '.detoxrc.json'), { configurations: configurations('codecept') });
+      const I = new Detox({});
+      assert.deepEqual(Object.keys(I.options.configurations), ['codecept']);
+    });
+
+    it('should find config in parents of codecept dir', () => {
+      writeJSON(path.join(tmpDir, 'project', 'detox.config.json'), { configurations: configurations('parent') });
+      const I = new Detox({});
+      assert.deepEqual(Object.keys(I.options.configurations), ['parent']);
+    });
+
+    it('should skip package.json without detox section', () => {
+      writeJSON(path.join(global.codecept_dir, 'package.json'), { name: 'e2e' });
+      writeJSON(path.join(tmpDir, 'project', 'package.json'), { name: 'project', detox: { configurations: configurations('package') } });
+      const I = new Detox({});
+      assert.deepEqual(Object.keys(I.options.configurations), ['package']);
+    });
+
+    it('should fall back to the current directory', () => {
+      global.codecept_dir = fs.mkdtempSync(path.join(os.tmpdir(), 'detox-helper-empty-'));
+      writeJSON(path.join(tmpDir, '.detoxrc.json'), { configurations: configurations('cwd') });
+      try {
+        const I = new Detox({});
+        assert.deepEqual(Object.keys(I.options.configurations), ['cwd']);
+      } finally {
+        removeDir(global.codecept_dir);
+      }
+    });
+
+    it('should merge a config it extends', () => {
+      writeJSON(path.join(tmpDir, 'base.json'), { configurations: configurations('base'), behavior: { init: { reinstallApp: false } } });
+      writeJSON(path.join(global.codecept_dir, '.detoxrc.json'), { extends: '../../base.json', configurations: configurations('own') });
+      const I = new Detox({});
+      assert.deepEqual(Object.keys(I.options.configurations), ['base', 'own']);
+      assert.equal(I.options.behavior.init.reinstallApp, false);
+    });
+
+    it('should load config from detoxConfigPath', () => {
+      writeJSON(path.join(tmpDir, 'configs', 'detox.json'), { configurations: configurations('custom') });
+      const I = new Detox({ detoxConfigPath: '../../configs/detox.json' });
+      assert.deepEqual(Object.keys(I.options.configurations), ['custom']);
+    });
+
+    it('should accept configurations of the helper config without a config file', () => {
+      const I = new Detox({ configurations: configurations('inline') });
+      assert.deepEqual(Object.keys(I.options.configurations), ['inline']);
+    });
+
+    it('should list searched files when config is not found', () => {
+      assert.throws(() => new Detox({}), /Detox config was not found[\s\S]*\.detoxrc\.js[\s\S]*package\.json \("detox" section\)/);
+    });
+  });
+
+  describe('#detoxConfig', () => {
+    beforeEach(() => {
+      global.output_dir = path.join(tmpDir, 'output');
+    });
+
+    it('should save artifacts to the output dir or artifactsLocation', () => {
+      const I = new Detox({ configurations: configurations('android') });
+      assert.equal(I._detoxConfig().artifacts.rootDir, `${global.output_dir}/`);
+
+      const located = new Detox({ configurations: configurations('android'), artifactsLocation: 'artifacts' });
+      assert.equal(located._detoxConfig().configurations.android.artifacts.rootDir, 'artifacts');
+    });
+
+    it('should merge device and appLaunchArgs into an inline configuration', () => {
+      const I = new Detox({
+        configurations: configurations('android'),
+        device: { headless: true, device: { avdName: 'Pixel_3' } },
+        appLaunchArgs: { mockServer: true },
+      });
+      const { configurations: { android } } = I._detoxConfig();
+      assert.deepEqual(android.device, { type: 'android.emulator', headless: true, device: { avdName: 'Pixel_3' } });
+      assert.deepEqual(android.app, { type: 'android.apk', binaryPath: 'app.apk', launchArgs: { mockServer: true } });
+    });
+
+    it('should merge device and appLaunchArgs into aliases of the selected configuration', () => {
+      const I = new Detox({
+        devices: { emulator: { type: 'android.emulator', device: { avdName: 'Pixel_3' } } },
+        apps: {
+          main: { type: 'android.apk', binaryPath: 'main.apk' },
+          helper: { type: 'android.apk', binaryPath: 'helper.apk' },
+        },
+        configurations: {
+          single: { device: 'emulator', app: 'main' },
+          multi: { device: 'emulator', apps: ['main', 'helper'] },
+        },
+        configuration: 'single',
+        device: { headless: true },
+        appLaunchArgs: { mockServer: true },
+      });
+      const config = I._detoxConfig();
+      assert.equal(config.selectedConfiguration, 'single');
+      assert.deepEqual(config.configurations.single.device, { type: 'android.emulator', device: { avdName: 'Pixel_3' }, headless: true });
+      assert.deepEqual(config.configurations.single.app.launchArgs, { mockServer: true });
+      assert.equal(config.configurations.single.app.binaryPath, 'main.apk');
+      assert.deepEqual(I.options.configurations.single, { device: 'emulator', app: 'main' });
+
+      I.options.configuration = 'multi';
+      const multi = I._detoxConfig();
+      assert.deepEqual(multi.apps.main.launchArgs, { mockServer: true });
+      assert.deepEqual(multi.apps.helper.launchArgs, { mockServer: true });
+      assert.equal(I.options.apps.main.launchArgs, undefined);
+    });
+
+    it('should not leave loglevel in env of child processes', () => {
+      new Detox({ configurations: configurations('android'), loglevel: 'trace' });
+      assert.equal(process.env.DETOX_LOGLEVEL, undefined);
+    });
+
+    it('should merge device and appLaunchArgs into a plain configuration', () => {
+      const I = new Detox({
+        configurations: { ios: { type: 'ios.simulator', device: { type: 'iPhone 12' }, binaryPath: 'app.app' } },
+        device: { device: { os: 'iOS 15.0' } },
+        appLaunchArgs: { mockServer: true },
+      });
+      const { configurations: { ios } } = I._detoxConfig();
+      assert.deepEqual(ios.device, { type: 'iPhone 12', os: 'iOS 15.0' });
+      assert.deepEqual(ios.launchArgs, { mockServer: true });
+      assert.equal(ios.binaryPath, 'app.app');
+    });
+  });
+});
@@ -1,6 +1,9 @@
 const Detox = require('../Detox');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const assert = require('assert');
+const locate = require('codeceptjs').locator.build;
 let configuration = process.env.CONF || 'android.emu.release';
 
 const fileExists = function (filePath) {
@@ -56,6 +59,10 @@ describe('Detox', function () {
       await I.click('Say World');
       await I.see('World!!!');
     });
+
+    it('should describe locator and similar elements when step fails', async () => {
+      await assert.rejects(I.click('Say Helo'), /I\.click\("Say Helo"\) failed[\s\S]*similar elements on screen: .*"Say Hello"/);
+    });
   });
     
   describe('Matchers', () => {
@@ -73,10 +80,15 @@ describe('Detox', function () {
       await I.see('ID Working!!!');
     });
   
-    xit('[WIP] should match elements by index', async () => {
-      const index = device.getPlatform() === 'ios' ? 2 : 0;
-      await element(by.text('Index')).atIndex(index).tap();
-      await expect(element(by.text('First button pressed!!!'))).toBeVisible();
+    it('should match elements by index', async () => {
+      await I.click({ text: 'Index', index: { ios: 2, android: 0 } });
+      await I.see('First button pressed!!!');
+    });
+
+    it('should match elements by index inside a context', async () => {
+      await I.seeElementExists({ id: 'Son883', index: 0 }, '#Grandfather883');
+      await I.seeElementExists('#Father883', { id: 'Grandfather883', index: 0 });
+      await I.dontSeeElementExists({ id: 'Grandfather883', index: 0 }, '#Grandson883');
     });
   
     it('should match elements by type (native class)', async () => {
@@ -88,6 +100,17 @@ describe('Detox', function () {
       I.click(type);
       I.dontSeeElement(type);
     });
+
+    it('should match elements by locate() builder', async () => {
+      await I.seeElementExists(locate('#Grandson883').inside('#Father883'));
+      await I.dontSeeElementExists(locate('#Father883').inside('#Grandson883'));
+      await I.seeElementExists(locate('#Son883').withDescendant('#Grandson883'));
+      await I.click(locate('#UniqueId345').first());
+      await I.see('ID Working!!!');
+      await I.seeElementExists(locate('#Grandson883').inside('#Father883').last());
+      await I.seeElementExists('#Grandson883', locate('#Father883').last());
+      await I.seeElementExists({ ios: locate('#Son883').last(), android: locate('#Son883').last() });
+    });
   
   });
   
@@ -117,6 +140,13 @@ describe('Detox', function () {
       await I.see('Taps: 3', '#UniqueId819');
     });
   
+    it('should match text partially and by regular expression', async () => {
+      await I.multiTap('#UniqueId819', 3);
+      await I.see(/Taps: \d+/, '#UniqueId819');
+      await I.click(/^tap me$/i);
+      await I.see('*=Tap Work');
+    });
+  
     it('should tap on an element at point', async () => {
       await I.clickAtPoint('#View7990', 180, 160);
       await I.see('Taps: 1', '#UniqueId819');
@@ -127,17 +157,16 @@ describe('Detox', function () {
       await I.see('Type Working!!!');
     });
   
-    xit('should press the backspace key on an element', async () => {
-      await element(by.id('UniqueId937')).tap();
-      await element(by.id('UniqueId937')).typeText('testx');
-      await element(by.id('UniqueId937')).tapBackspaceKey();
-      await expect(element(by.text('test'))).toBeVisible();
+    it('should press the backspace key on an element', async () => {
+      await I.appendField('#UniqueId937', 'testx');
+      await I.pressKey('Backspace');
+      await I.seeElement({ text: 'test' });
     });
   
-    xit('should press the return key on an element', async () => {
-      await element(by.id('UniqueId937')).tap();
-      await element(by.id('UniqueId937')).tapReturnKey();
-      await expect(element(by.text('Return Working!!!'))).toBeVisible();
+    it('should press the return key on an element', async () => {
+      await I.click('#UniqueId937');
+      await I.pressKey('Enter', '#UniqueId937');
+      await I.see('Return Working!!!');
     });
   
     it('should clear text in an element', async () => {
@@ -149,6 +178,13 @@ describe('Detox', function () {
       await I.fillField('#UniqueId006', 'replaced_text');
       await I.see('Replace Working!!!');
     });
+
+    it('should hide the keyboard without leaving a screen', async () => {
+      await I.fillField('#UniqueId006', 'hidden_keyboard');
+      await I.hideDeviceKeyboard();
+      await I.hideDeviceKeyboard('#UniqueId006');
+      await I.seeElement('#UniqueId006');
+    });
     
     // edges: 'top'/'bottom'/'left'/'right'
     it('should scroll to edge', async () => {
@@ -159,23 +195,52 @@ describe('Detox', function () {
       await I.see('Text1');
     });
   
-    // TODO - swipe is not good enough for triggering pull to refresh. need to come up with something better
+    it('should scroll until an element is visible', async () => {
+      await I.dontSee('Text8');
+      await I.scrollTo('Text8', '#ScrollView161');
+      await I.see('Text8');
+    });
+
+    it('should pull to refresh', async () => {
+      await I.pullToRefresh('#ScrollView799');
+      await I.waitForText('PullToReload Working!!!', 5);
+    });
+
     // directions: 'up'/'down'/'left'/'right', speed: 'fast'/'slow'
-    xit('should swipe down until pull to reload is triggered', async () => {
-      await I.swipeDown('#ScrollView799');
-      await I.see('PullToReload Working!!!');
+    it('should swipe with options', async () => {
+      await I.swipeDown('#ScrollView799', { speed: 'slow', percentage: 0.9, startY: 0.05 });
+      await I.waitForText('PullToReload Working!!!', 5);
     });
   
+    it(':ios: should drag an element onto another one', async function () {
+      if (I.device.getPlatform() !== 'ios') this.skip();
+      await I.dragAndDrop('Text2', 'Text1');
+      await I.dontSee('Text1');
+    });
+
+    it(':ios: should drag an element by offset', async function () {
+      if (I.device.getPlatform() !== 'ios') this.skip();
+      await I.dragBy('Text2', 0, -100, 0.2);
+      await I.dontSee('Text1');
+    });
+
+    it(':android: should reject drag gestures', async function () {
+      if (I.device.getPlatform() !== 'android') this.skip();
+      await assert.rejects(I.dragAndDrop('Text2', 'Text1'), /available on iOS only/);
+      await assert.rejects(I.dragBy('Text2', 0, -100), /available on iOS only/);
+    });
+
     xit('should not wait for long timeout (>1.5s)', async () => {
       await element(by.id('WhyDoAllTheTestIDsHaveTheseStrangeNames')).tap();
       await expect(element(by.id('WhyDoAllTheTestIDsHaveTheseStrangeNames'))).toBeVisible();
     });
   
-    xit(':ios: should zoom in and out the pinchable scrollview', async () => {
-      await element(by.id('PinchableScrollView')).pinchWithAngle('outward', 'slow', 0);
-      await expect(element(by.id('UniqueId007'))).toBeNotVisible();
-      await element(by.id('PinchableScrollView')).pinchWithAngle('inward', 'slow', 0);
-      await expect(element(by.id('UniqueId007'))).toBeVisible();
+    it(':ios: should zoom in and out the pinchable scrollview', async function () {
+      if (I.device.getPlatform() !== 'ios') this.skip();
+      await I.pinchOut('#PinchableScrollView');
+      await I.dontSeeElement('#UniqueId007');
+      await I.pinchIn('#PinchableScrollView');
+      await I.seeElement('#UniqueId007');
     });
   });
 
@@ -204,7 +269,52 @@ describe('Detox', function () {
     // matches specific text elements like UIButton, UILabel, UITextField or UITextView, RCTText
     it('should assert an element has text', async () => {
       await I.see('I contain some text', '#UniqueId204');
+    });
+
+    it('should check and uncheck a switch', async () => {
+      await I.dontSeeCheckboxIsChecked('#UniqueId146');
+      await I.checkOption('#UniqueId146');
+      await I.seeCheckboxIsChecked('#UniqueId146');
+      await I.uncheckOption('#UniqueId146');
+      await I.dontSeeCheckboxIsChecked('#UniqueId146');
+    });
+
+    it('should wait for an element to be enabled', async () => {
+      await I.waitForEnabled('#UniqueId146', 2);
+    });
+
+    it(':ios: should wait for a value of an element', async function () {
+      if (I.device.getPlatform() !== 'ios') this.skip();
+      await I.waitForValue('#UniqueId146', '0', 2);
+      await I.checkOption('#UniqueId146');
+      await I.waitForValue('#UniqueId146', '1', 2);
+    });
+
+    it('should grab text from an element', async () => {
+      const text = await I.grabTextFrom('#UniqueId204');
+      assert.equal(text, 'I contain some text');
+      const texts = await I.grabTextFromAll('#UniqueId204');
+      assert.deepEqual(texts, ['I contain some text']);
     });  
+
+    it('should grab attributes of an element', async () => {
+      assert.equal(await I.grabAttributeFrom('#UniqueId204', 'identifier'), 'UniqueId204');
+      assert.equal(await I.grabAttributeFrom('#UniqueId204', 'label'), 'I contain some text');
+    });
+
+    it('should grab a value of an element', async () => {
+      const unchecked = await I.grabValueFrom('#UniqueId146');
+      await I.checkOption('#UniqueId146');
+      const checked = await I.grabValueFrom('#UniqueId146');
+      assert.notEqual(unchecked, undefined);
+      assert.notEqual(checked, unchecked);
+    });
+
+    it('should grab a bounding rect of an element', async () => {
+      const rect = await I.grabElementBoundingRect('#UniqueId204');
+      assert.ok(rect.width > 0 && rect.height > 0, `unexpected size ${JSON.stringify(rect)}`);
+      assert.equal(await I.grabElementBoundingRect('#UniqueId204', 'width'), rect.width);
+    });
   });
   
   describe('Device Orientation', () => {
@@ -226,11 +336,19 @@ describe('Detox', function () {
     });
   });
 
-  describe('#saveScreenshot', () => {
-    it('should save screenshot', async () => {
-      await I.saveScreenshot('name');
-    })
-  })
+  describe('DatePicker', () => {
+    beforeEach(async () => {
+      await I.click('DatePicker');
+    });
+
+    it(':ios: should set date and time', async function () {
+      if (I.device.getPlatform() !== 'ios') this.skip();
+      await I.setDate('UIDatePicker', '2019-02-06T05:10:00-08:00');
+      await I.see('Date (UTC): Feb 6th, 2019', '#utcDateLabel');
+      await I.setTime('UIDatePicker', '06:34');
+      await I.see('Time: 06:34', '#localTimeLabel');
+    });
+  });
 
   describe('#saveScreenshot', () => {
     beforeEach(() => {
@@ -239,12 +357,99 @@ describe('Detox', function () {
 
     it('should create a screenshot file in output dir', async () => {
       const sec = (new Date()).getUTCMilliseconds();
-      await I.amOnPage('/')
-      await I.saveScreenshot(`screenshot_${sec}.png`);
+      const screenshot = await I.saveScreenshot(`screenshot_${sec}.png`);
+      assert.equal(screenshot, path.join(global.output_dir, `screenshot_${sec}.png`));
       await assert.ok(fileExists(path.join(global.output_dir, `screenshot_${sec}.png`)), null, 'file does not exists');
     });
+
+    it('should save a screenshot to a full path', async () => {
+      const screenshot = path.join(global.output_dir, 'full', 'screenshot.png');
+      await I.saveScreenshot(screenshot, { fullPath: true });
+      await assert.ok(fileExists(screenshot), null, 'file does not exists');
+    });
+
+    it('should save artifacts of a failed test', async () => {
+      const test = { title: 'failed test' };
+      await I._saveFailureArtifacts(test);
+      assert.equal(test.artifacts.screenshot, path.join(global.output_dir, 'failed_test.failed.png'));
+      await assert.ok(fileExists(test.artifacts.screenshot), null, 'file does not exists');
+    });
+
+    it('should save a screenshot of an element', async () => {
+      await I.click('Sanity');
+      await I.saveElementScreenshot({ text: 'Welcome' }, 'welcome.png');
+      await assert.ok(fileExists(path.join(global.output_dir, 'welcome.png')), null, 'file does not exists');
+    });
+
+    it('should compare a screenshot with a baseline', async () => {
+      const { baselineFolder } = I.options;
+      I.options.baselineFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'baselines-'));
+      try {
+        await I.click('Sanity');
+        await I.seeVisualDiff('sanity-welcome', { locator: { text: 'Welcome' } });
+        await assert.ok(fileExists(path.join(I.options.baselineFolder, I.device.getPlatform(), 'sanity-welcome.png')), null, 'baseline does not exists');
+        await I.seeVisualDiff('sanity-welcome', { locator: { text: 'Welcome' }, tolerance: 1 });
+        await assert.ok(fileExists(path.join(global.output_dir, 'sanity-welcome.diff.png')), null, 'file does not exists');
+      } finally {
+        fs.rmdirSync(I.options.baselineFolder, { recursive: true });
+        I.options.baselineFolder = baselineFolder;
+      }
+    });
+  });
+
+
+  describe('#config', () => {
+    it('should fail on misspelled options and unknown configurations', async () => {
+      const helper = new Detox({ configuration: 'unknown.configuration', reloadReactNatve: true });
+      await assert.rejects(helper._beforeSuite(), /did you mean "reloadReactNative"[\s\S]*valid configurations: .*android\.emu\.release/);
+    });
   });
 
+  describe('#restart', () => {
+    it('should keep app state when restart is disabled for a scenario', async () => {
+      await I.click('Sanity');
+      await I._before({ title: 'keep state', opts: { detox: { restart: 'none' } }, parent: { opts: {} } });
+      await I.see('Welcome');
+    });
+
+    it(':android: should launch an app with launch arguments of a scenario', async function () {
+      if (I.device.getPlatform() !== 'android') this.skip();
+      await I._before({ title: 'launch args', opts: { detox: { launchArgs: { hello: 'world' } } }, parent: { opts: {} } });
+      await I.click('Launch Args');
+      await I.see('world', '#launchArg-hello.value');
+    });
+
+    it(':android: should relaunch an app without launch arguments of a previous scenario', async function () {
+      if (I.device.getPlatform() !== 'android') this.skip();
+      await I._before({ title: 'launch args', opts: { detox: { launchArgs: { hello: 'world' } } }, parent: { opts: {} } });
+      await I._before({ title: 'default launch args', opts: {}, parent: { opts: {} } });
+      await I.click('Launch Args');
+      await I.dontSee('world', '#launchArg-hello.value');
+    });
+  });
+
+  describe('#app lifecycle', () => {
+    it('should terminate and launch an app with launch options', async () => {
+      await I.terminateApp();
+      await I.launchApp({ newInstance: true, url: 'detoxtesturlscheme://such-string' });
+      await I.see('detoxtesturlscheme://such-string');
+    });
+
+    it('should reinstall and relaunch an app', async () => {
+      await I.reinstallApp();
+      await I.relaunchApp({ delete: true });
+      await I.see('Sanity');
+    });
+  });
+
+  describe('#deviceLogs', () => {
+    it('should grab device logs of a test', async () => {
+      await I.click('Sanity');
+      const logs = await I.grabDeviceLogs();
+      assert.equal(typeof logs, 'string');
+      await I.seeInDeviceLog(/detox/i);
+    });
+  });
 
   describe('#wait', () => {
     beforeEach(async () => {
@@ -258,6 +463,21 @@ describe('Detox', function () {
       await I.seeElement('#createdAndVisibleText');
     });
 
+    it('should wait for an element implicitly with smartWait', async () => {
+      await I.click('#GoButton');
+      await I.seeElement({ id: 'createdAndVisibleText', smartWait: 20000 });
+    });
+
+    it('should wait for text', async () => {
+      await I.click('#GoButton');
+      await I.waitForText('I am being created 2 sec after click', 20);
+    });
+
+    it('should wait for text inside an element', async () => {
+      await I.waitForText('Text1', 5, '#ScrollView');
+      await assert.rejects(I.waitForText('Go', 1, '#ScrollView'));
+    });
+
     it('should wait until an element is removed', async () => {
       await I.seeElement('#deletedFromHierarchyText');
       await I.click('#GoButton');